@@ -0,0 +1,98 @@
+// Advisor.js
+
+// Outs and pot odds. An out is an unseen card that improves the hero to a better hand
+// made with the hole cards; outs that also put a better hand than that on the board
+// for everybody else (a third card of a suit, a pair for a full house, ...) are counted
+// apart as tainted and left out of the odds.
+
+// Target names for the category the out `card` improves the hero to. Trips are a set when
+// the card matches a pocket pair
+function outTarget(category, holeCards, card) {
+    if (category === 3 && holeCards.filter(held => held.value === card.value).length === 2) return "set";
+    if (category === 3) return "trips";
+    return handHeirarchy[category];
+}
+
+// Whether `card` gives the board a threat it did not have that beats `category`
+function createsThreat(communityCards, card, category) {
+    const before = communityCards;
+    const after = communityCards.concat([card]);
+    const maxSuited = board => Math.max(...suitArr.map(suit => board.filter(c => c.suit === suit).length));
+    /*three values within five steps means a straight needs only two hole cards*/
+    const straightPossible = board => {
+        const values = new Set(board.map(c => cardHeirarchy.indexOf(c.value)));
+        if (values.has(12)) values.add(-1);
+        for (let low = -1; low <= 8; low++) {
+            let inWindow = 0;
+            for (let step = 0; step < 5; step++) {
+                if (values.has(low + step)) inWindow++;
+            }
+            if (inWindow >= 3) return true;
+        }
+        return false;
+    };
+    const paired = board => evaluateCards(board).category > 0;
+    if (category < 5 && maxSuited(after) >= 3 && maxSuited(before) < 3) return true;
+    if (category < 6 && paired(after) && !paired(before)) return true;
+    if (category < 4 && straightPossible(after) && !straightPossible(before)) return true;
+    return false;
+}
+
+// The hero's outs on the flop or turn, grouped by target hand, for two or four hole
+// cards (see evaluateHoldings()): { outs: [{ target, clean, tainted }], total, tainted }
+function countOuts(holeCards, communityCards) {
+    let result = { outs: [], total: 0, tainted: 0 };
+    if (communityCards.length < 3 || communityCards.length > 4) return result;
+    const current = evaluateHoldings(holeCards, communityCards).category;
+    const known = holeCards.concat(communityCards).map(cardTitle);
+    let byTarget = {};
+    freshDeck().filter(title => known.indexOf(title) === -1).map(parseCard).forEach(card => {
+        const improved = evaluateHoldings(holeCards, communityCards.concat([card])).category;
+        /*in Hold'em the hole cards have to make the better hand, not the board on its own.
+        Omaha always plays two hole cards, so the board never plays by itself*/
+        const boardOnly = holeCards.length === 4 ? -1 : evaluateCards(communityCards.concat([card])).category;
+        if (improved <= current || improved <= boardOnly) return;
+        const target = outTarget(improved, holeCards, card);
+        byTarget[target] = byTarget[target] || { target: target, category: improved, clean: 0, tainted: 0 };
+        if (createsThreat(communityCards, card, improved)) {
+            byTarget[target].tainted++;
+            result.tainted++;
+        } else {
+            byTarget[target].clean++;
+            result.total++;
+        }
+    });
+    result.outs = Object.keys(byTarget).map(target => byTarget[target]).sort((a, b) => b.category - a.category);
+    return result;
+}
+
+// Chance of hitting one of `outs` with the next card and by the river, holding `holeCount` cards
+function hitOdds(outs, boardLength, holeCount) {
+    const unseen = 52 - holeCount - boardLength;
+    const nextCard = outs / unseen;
+    const byRiver = boardLength === 3 ? 1 - ((unseen - outs) / unseen) * ((unseen - 1 - outs) / (unseen - 1)) : nextCard;
+    return { nextCard: nextCard, byRiver: byRiver };
+}
+
+// Is calling worth it? Compares the equity with the share of the final pot the call
+// costs and, when that falls short, works out how much more has to be won on later
+// streets when the draw comes in (implied odds). spot: { toCall, pot, equity, hitChance, stack }
+function callVerdict(spot) {
+    if (spot.toCall <= 0) {
+        return { verdict: "free", potOdds: 0, impliedNeeded: 0, text: "Nothing to call, checking is free." };
+    }
+    const potOdds = spot.toCall / (spot.pot + spot.toCall);
+    const percent = value => (value * 100).toFixed(1) + "%";
+    const price = `Calling $${spot.toCall} to win $${spot.pot} needs ${percent(potOdds)} equity, you have ${percent(spot.equity)}.`;
+    if (spot.equity >= potOdds) {
+        return { verdict: "+EV", potOdds: potOdds, impliedNeeded: 0, text: price + " Call is +EV on pot odds." };
+    }
+    if (spot.hitChance > 0) {
+        const impliedNeeded = Math.ceil(spot.toCall * (1 - spot.hitChance) / spot.hitChance - spot.pot);
+        if (impliedNeeded <= spot.stack - spot.toCall) {
+            return { verdict: "+EV", potOdds: potOdds, impliedNeeded: impliedNeeded, text: price + ` Call is +EV only with implied odds: you must win $${impliedNeeded} more when you hit.` };
+        }
+        return { verdict: "-EV", potOdds: potOdds, impliedNeeded: impliedNeeded, text: price + ` Call is -EV, even implied odds would need $${impliedNeeded} more.` };
+    }
+    return { verdict: "-EV", potOdds: potOdds, impliedNeeded: 0, text: price + " Call is -EV." };
+}
@@ -5,11 +5,11 @@ function choosePoker(option) {
 
     let balance = 500;
     let setTheme = "united";
-    if (localStorage.getItem("theme")) {
-        setTheme = localStorage.getItem("theme");
+    if (profileStorage.getItem("theme")) {
+        setTheme = profileStorage.getItem("theme");
     }
-    if (localStorage.getItem("balance")) {
-        balance = localStorage.getItem("balance");
+    if (profileStorage.getItem("balance")) {
+        balance = profileStorage.getItem("balance");
     }
     if (option === "texas-holdem") {
         window.location.href = "https://aaronrs2002.github.io/texas-holdem/?" + gaParam + "&theme=" + setTheme + "&balance=" + balance + "&";
@@ -0,0 +1,117 @@
+// Bots.js
+
+// Opponent personalities for the bot seats. A bot strategy is an object with an
+// id, a name, a short badge label and decide(view), which returns
+// { action: "fold" | "check" | "call" | "bet" | "raise", amount }. For bets and
+// raises amount is what the bot's bet on the street is raised to. The view is
+// built by the table, see botView() in Engine.js.
+
+const botStrategies = {};
+const defaultBotProfiles = ["tight-aggressive", "loose-passive", "maniac", "calling-station", "nit"];
+
+function registerBotStrategy(strategy) {
+    botStrategies[strategy.id] = strategy;
+    return strategy;
+}
+
+function getBotStrategy(id) {
+    return botStrategies[id] || botStrategies[defaultBotProfiles[0]];
+}
+
+// Profile a seat gets when none was picked, cycling through the built-in ones
+function defaultProfileFor(seat) {
+    return defaultBotProfiles[(seat - 1) % defaultBotProfiles.length];
+}
+
+// 0 to 1 strength of the two hole cards from pairs, high cards, suits and connectors.
+// Omaha hole cards are as strong as the best two of them, the two a hand plays
+function preflopStrength(holeCards) {
+    if (holeCards.length > 2) return Math.max(...combinations(holeCards, 2).map(preflopStrength));
+    const high = Math.max(...holeCards.map(card => cardHeirarchy.indexOf(card.value)));
+    const low = Math.min(...holeCards.map(card => cardHeirarchy.indexOf(card.value)));
+    if (high === low) {
+        return 0.5 + (high / 12) * 0.5;
+    }
+    let strength = ((high + low) / 24) * 0.6;
+    if (holeCards[0].suit === holeCards[1].suit) strength += 0.08;
+    if (high - low === 1) strength += 0.06;
+    if (high - low === 2) strength += 0.03;
+    if (high === 12) strength += 0.1;
+    return Math.min(strength, 0.95);
+}
+
+// 0 to 1 strength after the flop: the made hand, counted only when the hole cards
+// play, plus a bonus for flush and straight draws while cards are still to come
+function postflopStrength(holeCards, communityCards) {
+    const made = evaluateHoldings(holeCards, communityCards);
+    const board = evaluateCards(communityCards);
+    const categoryStrength = [0.15, 0.4, 0.6, 0.7, 0.78, 0.82, 0.9, 0.96, 0.99, 1];
+    let strength = categoryStrength[made.category];
+    if (made.category === board.category && made.category < 4) {
+        strength = 0.15; /*the board plays, the hole cards are only kickers*/
+    } else if (made.category === 1) {
+        const pairValue = cardHeirarchy.indexOf(made.bestFive[0].value);
+        strength += (pairValue / 12) * 0.15;
+    }
+    if (communityCards.length < 5 && made.category < 5) {
+        const cardsArr = holeCards.concat(communityCards);
+        const flushDraw = suitArr.some(suit => cardsArr.filter(card => card.suit === suit).length === 4 && holeCards.some(card => card.suit === suit));
+        const values = new Set(cardsArr.map(card => cardHeirarchy.indexOf(card.value)));
+        let straightDraw = false;
+        for (let low = 0; low <= 9; low++) {
+            if ([0, 1, 2, 3].every(step => values.has(low + step))) straightDraw = true;
+        }
+        if (flushDraw) strength += 0.12;
+        if (straightDraw) strength += 0.08;
+    }
+    return Math.min(strength, 1);
+}
+
+function botHandStrength(view) {
+    return view.communityCards.length === 0 ? preflopStrength(view.holeCards) : postflopStrength(view.holeCards, view.communityCards);
+}
+
+// A strategy built from a few tendencies, all between 0 and 1:
+//   playable   - weakest hand it puts money in with
+//   raiseWith  - hand it bets or raises for value
+//   aggression - chance it bets or raises when its hand allows it
+//   bluff      - chance it bets with nothing
+//   stickiness - how far below the price it still calls
+//   sizing     - bet size as a share of the pot
+function createBotProfile(id, name, short, tendencies) {
+    return {
+        id: id,
+        name: name,
+        short: short,
+        tendencies: tendencies,
+        decide: function (view) {
+            const strength = botHandStrength(view);
+            const roll = view.random.next();
+            const raiseTo = Math.max(view.minRaise, view.currentBet + Math.round(Math.max(view.pot, view.bigBlind * 2) * tendencies.sizing));
+            if (view.toCall === 0) {
+                if (view.canRaise && ((strength >= tendencies.raiseWith && roll < tendencies.aggression) || roll < tendencies.bluff)) {
+                    return { action: view.currentBet > 0 ? "raise" : "bet", amount: raiseTo };
+                }
+                return { action: "check" };
+            }
+            if (view.canRaise && strength >= tendencies.raiseWith + 0.1 && roll < tendencies.aggression) {
+                return { action: "raise", amount: raiseTo };
+            }
+            if (view.canRaise && roll < tendencies.bluff / 2) {
+                return { action: "raise", amount: raiseTo };
+            }
+            /*the price of calling, as the share of the final pot it costs*/
+            const potOdds = view.toCall / (view.pot + view.toCall);
+            if (strength >= tendencies.playable && strength >= potOdds + 0.2 - tendencies.stickiness) {
+                return { action: "call" };
+            }
+            return { action: "fold" };
+        }
+    };
+}
+
+registerBotStrategy(createBotProfile("tight-aggressive", "Tight-aggressive", "TAG", { playable: 0.5, raiseWith: 0.6, aggression: 0.75, bluff: 0.08, stickiness: 0.05, sizing: 0.66 }));
+registerBotStrategy(createBotProfile("loose-passive", "Loose-passive", "LP", { playable: 0.25, raiseWith: 0.85, aggression: 0.2, bluff: 0.02, stickiness: 0.2, sizing: 0.5 }));
+registerBotStrategy(createBotProfile("maniac", "Maniac", "MAN", { playable: 0.15, raiseWith: 0.35, aggression: 0.85, bluff: 0.4, stickiness: 0.15, sizing: 1 }));
+registerBotStrategy(createBotProfile("calling-station", "Calling station", "CS", { playable: 0.15, raiseWith: 0.9, aggression: 0.15, bluff: 0, stickiness: 0.45, sizing: 0.5 }));
+registerBotStrategy(createBotProfile("nit", "Nit", "NIT", { playable: 0.65, raiseWith: 0.75, aggression: 0.5, bluff: 0, stickiness: 0, sizing: 0.5 }));
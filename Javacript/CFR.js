@@ -1,20 +1,21 @@
 // CFRPlayer.js
 
-// Initialize a dictionary of regrets for each action
-let regretSum = {
-    'check': 0,
-    'match': 0,
-    'raise': 0,
-    'allin': 0
-};
-
-// Initialize a dictionary of strategies
-let strategySum = {
-    'check': 0,
-    'match': 0,
-    'raise': 0,
-    'allin': 0
-};
+// Counterfactual regret minimization over information sets. A spot is boiled down
+// to an abstraction (hand strength bucket, street, position, pot odds bucket and the
+// betting so far) and every information set keeps its own regrets. Training walks
+// the betting tree of the current street between the hero and the strongest of the
+// opponents, with the cards still hidden sampled once per iteration.
+
+const cfrActions = ['fold', 'check', 'match', 'raise', 'allin'];
+const cfrModelFormat = 'battlepoker-cfr';
+const cfrModelVersion = 1; /*bump when the abstraction changes, old models no longer fit*/
+const handBuckets = 5;
+const cfrMaxRaises = 2; /*raises allowed in the abstract betting tree*/
+
+// Regrets and summed strategies, keyed by information set
+let regretSum = {};
+let strategySum = {};
+let modelReadOnly = false; /*a loaded blueprint is only read, never trained*/
 
 // New reward range trackers
 let minRewards = {
@@ -31,83 +32,464 @@ let maxRewards = {
     'allin': -Infinity
 };
 
-// Function to obtain the strategy based on regrets
-function getStrategy() {
+// 0 (weakest) to handBuckets - 1, from the same strength scale the bots use
+function handBucket(holeCards, communityCards) {
+    const strength = communityCards.length === 0 ? preflopStrength(holeCards) : postflopStrength(holeCards, communityCards);
+    return Math.min(handBuckets - 1, Math.floor(strength * handBuckets));
+}
+
+// 0 when there is nothing to call, then cheap, fair and expensive prices
+function potOddsBucket(toCall, pot) {
+    if (toCall <= 0) return 0;
+    const odds = toCall / (pot + toCall);
+    return odds < 0.2 ? 1 : (odds < 0.35 ? 2 : 3);
+}
+
+// e.g. "2|3|late|1|cr" - flop, bucket 3, acting last, cheap call, check then raise
+function infoSetKey(street, bucket, position, oddsBucket, history) {
+    return [street, bucket, position, oddsBucket, history].join('|');
+}
+
+// Strategy from the positive regrets of an information set (regret matching)
+function getStrategy(key, actions) {
+    let regrets = regretSum[key] || {};
     let normalizingSum = 0;
     let strategy = {};
-
-    // Calculate the strategy according to the regret
-    Object.keys(regretSum).forEach(action => {
-        strategy[action] = Math.max(regretSum[action], 0);
+    actions.forEach(action => {
+        strategy[action] = Math.max(regrets[action] || 0, 0);
         normalizingSum += strategy[action];
     });
+    actions.forEach(action => {
+        strategy[action] = normalizingSum > 0 ? strategy[action] / normalizingSum : 1.0 / actions.length;
+    });
+    return strategy;
+}
 
-    // Normalize the strategy
-    Object.keys(strategy).forEach(action => {
-        if (normalizingSum > 0) {
-            strategy[action] /= normalizingSum;
-        } else {
-            strategy[action] = 1.0 / Object.keys(strategy).length;
+// Average strategy over all training, the one recommendations come from
+function getAverageStrategy(key, actions) {
+    let sums = strategySum[key];
+    let total = 0;
+    let strategy = {};
+    actions.forEach(action => { total += sums ? sums[action] || 0 : 0; });
+    actions.forEach(action => {
+        strategy[action] = total > 0 ? sums[action] / total : 1.0 / actions.length;
+    });
+    return strategy;
+}
+
+// Root of the betting tree for the hero's decision. bets are what the hero (0) and the
+// field (1) put in from here on; what the field already bet over the hero is in bets[1]
+function rootNode(situation) {
+    const stack = Math.max(situation.stack, 0);
+    return {
+        pot: situation.pot - situation.toCall,
+        bets: [0, situation.toCall],
+        limits: [stack, stack + situation.toCall],
+        history: '',
+        toAct: 0,
+        raises: 0,
+        allin: false,
+        terminal: null
+    };
+}
+
+function treeActions(node, bigBlind) {
+    const p = node.toAct;
+    const toCall = node.bets[1 - p] - node.bets[p];
+    let actions = toCall > 0 ? ['fold', 'match'] : ['check'];
+    if (!node.allin && node.limits[p] > node.bets[1 - p]) {
+        if (node.raises < cfrMaxRaises && raiseSize(node, bigBlind) < node.limits[p]) actions.push('raise');
+        actions.push('allin');
+    }
+    return actions;
+}
+
+// Pot sized raise: call, then add the whole pot
+function raiseSize(node, bigBlind) {
+    const p = node.toAct;
+    return node.bets[1 - p] + Math.max(bigBlind, node.pot + node.bets[0] + 2 * node.bets[1 - p] - node.bets[p]);
+}
+
+function childNode(node, action, bigBlind) {
+    const p = node.toAct;
+    let child = Object.assign({}, node, { bets: node.bets.slice(), history: node.history + action.charAt(0), toAct: 1 - p });
+    if (action === 'fold') {
+        child.terminal = 'fold';
+        child.winner = 1 - p;
+    } else if (action === 'match') {
+        child.bets[p] = Math.min(node.bets[1 - p], node.limits[p]);
+        child.terminal = 'showdown';
+    } else if (action === 'check') {
+        if (node.history.slice(-1) === 'c') child.terminal = 'showdown'; /*checked around*/
+    } else if (action === 'raise') {
+        child.bets[p] = raiseSize(node, bigBlind);
+        child.raises++;
+    } else {
+        child.bets[p] = node.limits[p];
+        child.allin = true;
+    }
+    return child;
+}
+
+// Chips each side ends up with, counted from the root. Uncalled chips go back
+function terminalUtility(node, showdownShare) {
+    if (node.terminal === 'fold') {
+        const loser = 1 - node.winner;
+        let utility = [0, 0];
+        utility[loser] = -node.bets[loser];
+        utility[node.winner] = node.pot + node.bets[loser];
+        return utility;
+    }
+    const matched = Math.min(node.bets[0], node.bets[1]);
+    const total = node.pot + 2 * matched;
+    return [showdownShare * total - matched, (1 - showdownShare) * total - matched];
+}
+
+// Hidden cards for one iteration: the opponents' hands and the rest of the board. Every
+// other iteration the hero gets a random hand too, so the field learns to play against
+// a range rather than against the one hand the hero holds. Opponents are dealt from the
+// ranges read on them (situation.opponentRanges, see OpponentModel.js) when there are any.
+// Returns the hero's showdown share (1 win, 0.5 split, 0 loss) and the buckets of both sides
+function sampleDeal(situation, randomHero) {
+    const known = (randomHero ? [] : situation.playerHand).concat(situation.communityCards).map(card => card.value + '-' + card.suit);
+    let deck = solverRandom.shuffle(freshDeck().filter(title => known.indexOf(title) === -1)).map(parseCard);
+    const heroCards = randomHero ? deck.splice(0, 2) : situation.playerHand;
+    const ranges = situation.opponentRanges || [];
+    let opponentHands = [];
+    for (let i = 1; i < Math.max(situation.activePlayers, 2); i++) {
+        opponentHands.push(dealInRange(deck, ranges[i - 1] ? ranges[i - 1].minStrength : 0, solverRandom));
+    }
+    const board = situation.communityCards.concat(deck.splice(0, 5 - situation.communityCards.length));
+    const hero = evaluateCards(heroCards.concat(board));
+    let best = null;
+    let bestCards = null;
+    for (let i = 0; i < opponentHands.length; i++) {
+        const holeCards = opponentHands[i];
+        const hand = evaluateCards(holeCards.concat(board));
+        if (best === null || compareHands(hand, best) > 0) {
+            best = hand;
+            bestCards = holeCards;
         }
-        strategySum[action] += strategy[action];
+    }
+    const result = compareHands(hero, best);
+    return {
+        share: result > 0 ? 1 : (result === 0 ? 0.5 : 0),
+        buckets: [handBucket(heroCards, situation.communityCards), handBucket(bestCards, situation.communityCards)]
+    };
+}
+
+// Information set of the player to act at `node`
+function nodeInfoSetKey(node, situation, dealt) {
+    const p = node.toAct;
+    const position = (p === 0) === (situation.position === 'late') ? 'late' : 'early';
+    const toCall = node.bets[1 - p] - node.bets[p];
+    return infoSetKey(situation.street, dealt.buckets[p], position, potOddsBucket(toCall, node.pot + node.bets[0] + node.bets[1]), node.history);
+}
+
+// Walk every action below `node`, updating the regrets of the player to act.
+// reach[p] is how likely player p plays to this node. Returns the utilities of both sides
+function cfr(node, situation, dealt, reach) {
+    if (node.terminal) return terminalUtility(node, dealt.share);
+    const p = node.toAct;
+    const actions = treeActions(node, situation.bigBlind);
+    const key = nodeInfoSetKey(node, situation, dealt);
+    const strategy = getStrategy(key, actions);
+    let utilities = {};
+    let nodeUtility = [0, 0];
+    actions.forEach(action => {
+        let childReach = reach.slice();
+        childReach[p] *= strategy[action];
+        utilities[action] = cfr(childNode(node, action, situation.bigBlind), situation, dealt, childReach);
+        nodeUtility[0] += strategy[action] * utilities[action][0];
+        nodeUtility[1] += strategy[action] * utilities[action][1];
     });
+    let regrets = regretSum[key] = regretSum[key] || {};
+    let sums = strategySum[key] = strategySum[key] || {};
+    actions.forEach(action => {
+        regrets[action] = (regrets[action] || 0) + reach[1 - p] * (utilities[action][p] - nodeUtility[p]);
+        sums[action] = (sums[action] || 0) + reach[p] * strategy[action];
+    });
+    return nodeUtility;
+}
 
-    return strategy;
+// Information set and legal actions of the hero's current decision
+function rootInfoSet(situation) {
+    const root = rootNode(situation);
+    return {
+        key: infoSetKey(situation.street, handBucket(situation.playerHand, situation.communityCards), situation.position, potOddsBucket(situation.toCall, situation.pot), ''),
+        actions: treeActions(root, situation.bigBlind)
+    };
+}
+
+// Hero's expected chips below `node` when both sides play the average strategy
+function strategyValue(node, situation, dealt) {
+    if (node.terminal) return terminalUtility(node, dealt.share)[0];
+    const actions = treeActions(node, situation.bigBlind);
+    const strategy = getAverageStrategy(nodeInfoSetKey(node, situation, dealt), actions);
+    return actions.reduce((value, action) => value + strategy[action] * strategyValue(childNode(node, action, situation.bigBlind), situation, dealt), 0);
+}
+
+// Estimated value in chips of every hero action in the spot, against the field playing
+// what the model learned, averaged over `samples` deals. Folding is worth 0
+function actionValues(situation, samples) {
+    const root = rootNode(situation);
+    const actions = treeActions(root, situation.bigBlind);
+    let values = {};
+    actions.forEach(action => { values[action] = 0; });
+    for (let i = 0; i < samples; i++) {
+        const dealt = sampleDeal(situation, false);
+        actions.forEach(action => {
+            values[action] += strategyValue(childNode(root, action, situation.bigBlind), situation, dealt) / samples;
+        });
+    }
+    return values;
 }
 
-// Function to update regrets based on the result of the round
-function updateRegrets(action, reward, counterfactualRewards) {
-    // Calculate counterfactual regrets
-    Object.keys(regretSum).forEach(a => {
-        let regret = counterfactualRewards[a] - reward;
-        regretSum[a] += regret;
+let trainingRounds = 0;
+
+// Reward ranges seen so far, leaving out the actions never scored (JSON has no Infinity)
+function rewardRanges() {
+    let ranges = { minRewards: {}, maxRewards: {} };
+    Object.keys(minRewards).forEach(action => {
+        if (isFinite(minRewards[action])) ranges.minRewards[action] = minRewards[action];
+        if (isFinite(maxRewards[action])) ranges.maxRewards[action] = maxRewards[action];
+    });
+    return ranges;
+}
+
+// Start the reward ranges over, from the ones saved in `model` when given
+function setRewardRanges(model) {
+    Object.keys(minRewards).forEach(action => {
+        minRewards[action] = model && isFinite(model.minRewards[action]) ? model.minRewards[action] : Infinity;
+        maxRewards[action] = model && isFinite(model.maxRewards[action]) ? model.maxRewards[action] : -Infinity;
     });
 }
 
-function calculateCounterfactualRewards(currentState, strategy) {
-    let rewards = {
-        'check': calculateReward(currentState, 'check'),
-        'match': calculateReward(currentState, 'match'),
-        'raise': calculateReward(currentState, 'raise'),
-        'allin': calculateReward(currentState, 'allin')
+// Everything the AI has learned, as a versioned object that can be saved as JSON
+function exportModel() {
+    return {
+        format: cfrModelFormat,
+        version: cfrModelVersion,
+        savedAt: new Date().toISOString(),
+        iterations: trainingRounds,
+        blueprint: modelReadOnly,
+        regretSum: regretSum,
+        strategySum: strategySum,
+        minRewards: rewardRanges().minRewards,
+        maxRewards: rewardRanges().maxRewards
     };
+}
+
+// Why a model can't be loaded, null when it can
+function modelProblem(model) {
+    if (!model || model.format !== cfrModelFormat || !model.regretSum || !model.strategySum || !model.minRewards || !model.maxRewards) {
+        return 'This is not a BattlePoker AI model.';
+    }
+    if (model.version !== cfrModelVersion) {
+        return `The model is version ${model.version}, this game needs version ${cfrModelVersion}.`;
+    }
+    return null;
+}
+
+// Replace the learned tables with a saved model. A read-only model is a blueprint:
+// recommendations come from it as it is and training leaves it alone
+function importModel(model, readOnly) {
+    if (modelProblem(model)) return false;
+    regretSum = model.regretSum;
+    strategySum = model.strategySum;
+    setRewardRanges(model);
+    trainingRounds = model.iterations || 0;
+    modelReadOnly = !!readOnly;
+    return true;
+}
+
+function resetModel() {
+    regretSum = {};
+    strategySum = {};
+    setRewardRanges(null);
+    trainingRounds = 0;
+    modelReadOnly = false;
+}
 
-    return rewards;
+// One training iteration on the hero's current spot (see getCurrentState() in Poker.js)
+function playRound(situation) {
+    if (modelReadOnly) return;
+    trainingRounds++;
+    cfr(rootNode(situation), situation, sampleDeal(situation, trainingRounds % 2 === 0), [1, 1]);
 }
 
-function recommendAction() {
-    let strategy = getStrategy();
-    let recommendedAction = Object.keys(strategy).reduce((a, b) => strategy[a] > strategy[b] ? a : b);
+// Strategy of the hero's information set and the action it plays most
+function recommendAction(situation) {
+    const infoSet = rootInfoSet(situation);
+    const strategy = getAverageStrategy(infoSet.key, infoSet.actions);
+    return {
+        key: infoSet.key,
+        strategy: strategy,
+        action: infoSet.actions.reduce((a, b) => strategy[a] >= strategy[b] ? a : b)
+    };
+}
 
-    // Display the recommendation on the player's interface
-    document.getElementById("top-moves").innerHTML = `Recommendation: ${recommendedAction.toUpperCase()} 
-    (${(strategy[recommendedAction] * 100).toFixed(2)}%)`;
+// Default training budget: stop at whichever of the two limits comes first
+const defaultTrainingBudget = { iterations: 5000, timeBudget: 3000 /*ms*/ };
+
+// Train on a spot in short slices so the page, or the worker's message queue, gets a
+// turn in between. onProgress(job) runs after every slice and onDone(job) once at the
+// end, with job.iterations and job.recommendation filled in. job.cancel() stops it
+function runTraining(situation, budget, onProgress, onDone) {
+    budget = Object.assign({}, defaultTrainingBudget, budget);
+    if (modelReadOnly) budget.iterations = 0; /*a blueprint answers straight away*/
+    const startedAt = Date.now();
+    let job = { iterations: 0, recommendation: null, cancelled: false, finished: false };
+    job.cancel = function () { job.cancelled = true; };
+    function slice() {
+        if (job.cancelled) {
+            job.finished = true;
+            onDone(job);
+            return;
+        }
+        const sliceEnd = Date.now() + 50;
+        while (job.iterations < budget.iterations && Date.now() < sliceEnd) {
+            playRound(situation);
+            job.iterations++;
+        }
+        job.recommendation = recommendAction(situation);
+        if (job.iterations >= budget.iterations || Date.now() - startedAt >= budget.timeBudget) {
+            job.finished = true;
+            onDone(job);
+        } else {
+            onProgress(job);
+            setTimeout(slice, 0);
+        }
+    }
+    setTimeout(slice, 0);
+    return job;
 }
 
-// Example of how to use these functions during a round of the game
-function playRound() {
-    let currentState = getCurrentState(); // Define a function to get the current state of the game
-    let strategy = getStrategy();
+// Page side of the solver. Training runs in CFRWorker.js when the browser allows it and
+// in slices on the page otherwise. Only one job runs at a time, starting another
+// cancels the previous one. onProgress and onResult get { iterations, recommendation, cancelled }
+function createCFRSolver(workerUrl) {
+    let worker = null;
+    let current = null; /*{ id, situation, budget, onProgress, onResult, job }*/
+    let jobId = 0;
+
+    function runHere(request) {
+        request.job = runTraining(request.situation, request.budget, job => {
+            if (current === request) request.onProgress({ iterations: job.iterations, recommendation: job.recommendation, cancelled: false });
+        }, job => {
+            if (current === request) {
+                current = null;
+                request.onResult({ iterations: job.iterations, recommendation: job.recommendation, cancelled: job.cancelled });
+            }
+        });
+    }
+
+    if (typeof Worker !== "undefined" && workerUrl) {
+        try {
+            worker = new Worker(workerUrl);
+            worker.onmessage = function (e) {
+                const message = e.data;
+                if (message.requestId) {
+                    const request = modelRequests[message.requestId];
+                    delete modelRequests[message.requestId];
+                    if (request) request.callback(message.result);
+                    return;
+                }
+                if (!current || message.id !== current.id) return; /*from a job that was cancelled*/
+                if (message.type === "progress") {
+                    current.onProgress(message);
+                } else if (message.type === "result") {
+                    const request = current;
+                    current = null;
+                    request.onResult(message);
+                }
+            };
+            worker.onerror = function () {
+                /*workers can't load from file:// in some browsers, carry on without one*/
+                worker = null;
+                Object.keys(modelRequests).forEach(id => modelRequests[id].callback(modelRequests[id].answerHere()));
+                modelRequests = {};
+                if (current) runHere(current);
+            };
+        } catch (error) {
+            worker = null;
+        }
+    }
+
+    function start(situation, budget, onProgress, onResult) {
+        cancel();
+        current = { id: ++jobId, situation: situation, budget: budget, onProgress: onProgress, onResult: onResult, job: null };
+        if (worker) {
+            worker.postMessage({ type: "start", id: current.id, situation: situation, budget: budget });
+        } else {
+            runHere(current);
+        }
+        return current.id;
+    }
+
+    // Hand a request to the worker, or answer it here. callback gets the result
+    let modelRequests = {};
+    let modelRequestId = 0;
+    function modelRequest(message, answerHere, callback) {
+        callback = callback || function () {};
+        if (worker) {
+            message.requestId = ++modelRequestId;
+            modelRequests[message.requestId] = { answerHere: answerHere, callback: callback };
+            worker.postMessage(message);
+        } else {
+            setTimeout(() => callback(answerHere()), 0);
+        }
+    }
+
+    function getModel(callback) {
+        modelRequest({ type: "exportModel" }, () => exportModel(), callback);
+    }
+
+    function loadModel(model, readOnly, callback) {
+        modelRequest({ type: "importModel", model: model, readOnly: readOnly }, () => importModel(model, readOnly), callback);
+    }
 
-    // Simulate a decision of the player based on the current strategy
-    let action = selectAction(strategy);
+    function clearModel(callback) {
+        modelRequest({ type: "resetModel" }, () => { resetModel(); return true; }, callback);
+    }
 
-    // Calculate counterfactual rewards for all possible actions
-    let counterfactualRewards = calculateCounterfactualRewards(currentState, strategy);
+    // callback gets actionValues() of the spot, from wherever the model lives
+    function evaluateActions(situation, samples, callback) {
+        modelRequest({ type: "actionValues", situation: situation, samples: samples }, () => actionValues(situation, samples), callback);
+    }
 
-    // Assume that reward is the reward for the action taken
-    let reward = counterfactualRewards[action];
+    // callback gets calculateEquity() of the hero's hand, sampled off the page when it can be
+    function evaluateEquity(holeCards, communityCards, opponents, ranges, callback) {
+        modelRequest({ type: "equity", holeCards: holeCards, communityCards: communityCards, opponents: opponents, ranges: ranges },
+            () => calculateEquity(holeCards, communityCards, opponents, { ranges: ranges }), callback);
+    }
 
-    // Update regrets based on the result
-    updateRegrets(action, reward, counterfactualRewards);
+    function cancel() {
+        if (!current) return false;
+        if (worker) {
+            worker.postMessage({ type: "cancel", id: current.id });
+        } else if (current.job) {
+            current.job.cancel();
+        }
+        current = null;
+        return true;
+    }
 
-    // Recommend an action based on the accumulated regrets
-    recommendAction();
+    return {
+        start: start,
+        cancel: cancel,
+        isRunning: () => current !== null,
+        getModel: getModel,
+        loadModel: loadModel,
+        clearModel: clearModel,
+        evaluateActions: evaluateActions,
+        evaluateEquity: evaluateEquity
+    };
 }
 
 // Function to select an action based on the strategy
 function selectAction(strategy) {
-    let randomValue = Math.random();
+    let randomValue = solverRandom.next();
     let cumulativeProbability = 0.0;
     for (let action in strategy) {
         cumulativeProbability += strategy[action];
@@ -183,29 +565,32 @@ function calculateReward(currentState, action) {
 
 // Auxiliary function to calculate the improvement factor
 function getImprovementFactor(currentState) {
-    // Calculate the probability of improving the hand based on the number of cards to come, etc.
-    // This could be based on poker probability tables or simulations.
-    // For simplicity, we use a random value between 0.8 and 1.2 to simulate this.
-    return Math.random() * (1.2 - 0.8) + 0.8;
+    // Scale with the hero's equity (see Equity.js): 0.8 with no chance to win up to 1.2 with a lock
+    const equity = currentState.equity || calculateEquity(currentState.playerHand, currentState.communityCards || [], currentState.activePlayers - 1);
+    return equity.equity * (1.2 - 0.8) + 0.8;
 }
 
 // At the end of CFR.js
 
-// Expose reward ranges globally
-window.getMinRewards = function() {
-    return minRewards;
-};
+// CFR.js also runs inside CFRWorker.js, where there is no window
+if (typeof window !== "undefined") {
+    // Expose reward ranges globally
+    window.getMinRewards = function() {
+        return minRewards;
+    };
 
-window.getMaxRewards = function() {
-    return maxRewards;
-};
+    window.getMaxRewards = function() {
+        return maxRewards;
+    };
 
-// Expose other necessary functions globally
-window.calculateHandStrength = calculateHandStrength;
-window.getImprovementFactor = getImprovementFactor;
-window.getStrategy = getStrategy;
-window.playRound = playRound;
-window.calculateReward = calculateReward;
-window.recommendAction = recommendAction;
-window.selectAction = selectAction;
+    // Expose other necessary functions globally
+    window.calculateHandStrength = calculateHandStrength;
+    window.getImprovementFactor = getImprovementFactor;
+    window.getStrategy = getStrategy;
+    window.getAverageStrategy = getAverageStrategy;
+    window.playRound = playRound;
+    window.calculateReward = calculateReward;
+    window.recommendAction = recommendAction;
+    window.selectAction = selectAction;
+}
 
@@ -0,0 +1,43 @@
+// CFRWorker.js
+
+// Runs CFR training off the page. Messages in:
+//   { type: "start", id, situation, budget } - train on the hero's spot (see getCurrentState())
+//   { type: "cancel", id }                   - stop that job after the running slice
+//   { type: "exportModel", requestId }       - the learned model (see exportModel())
+//   { type: "importModel", requestId, model, readOnly }
+//   { type: "resetModel", requestId }
+//   { type: "actionValues", requestId, situation, samples } - see actionValues()
+//   { type: "equity", requestId, holeCards, communityCards, opponents, ranges } - see calculateEquity()
+// Messages out:
+//   { type: "progress", id, iterations, recommendation } - after every slice
+//   { type: "result", id, iterations, recommendation, cancelled } - once per job
+//   { requestId, result } - answer to a model, actionValues or equity message
+
+importScripts("Random.js", "HandEvaluator.js", "Equity.js", "Bots.js", "OpponentModel.js", "CFR.js");
+
+let jobs = {};
+
+onmessage = function (e) {
+    const message = e.data;
+    if (message.type === "start") {
+        jobs[message.id] = runTraining(message.situation, message.budget, job => {
+            postMessage({ type: "progress", id: message.id, iterations: job.iterations, recommendation: job.recommendation });
+        }, job => {
+            delete jobs[message.id];
+            postMessage({ type: "result", id: message.id, iterations: job.iterations, recommendation: job.recommendation, cancelled: job.cancelled });
+        });
+    } else if (message.type === "cancel") {
+        if (jobs[message.id]) jobs[message.id].cancel();
+    } else if (message.type === "exportModel") {
+        postMessage({ requestId: message.requestId, result: exportModel() });
+    } else if (message.type === "importModel") {
+        postMessage({ requestId: message.requestId, result: importModel(message.model, message.readOnly) });
+    } else if (message.type === "resetModel") {
+        resetModel();
+        postMessage({ requestId: message.requestId, result: true });
+    } else if (message.type === "actionValues") {
+        postMessage({ requestId: message.requestId, result: actionValues(message.situation, message.samples) });
+    } else if (message.type === "equity") {
+        postMessage({ requestId: message.requestId, result: calculateEquity(message.holeCards, message.communityCards, message.opponents, { ranges: message.ranges }) });
+    }
+};
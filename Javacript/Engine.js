@@ -0,0 +1,552 @@
+// Engine.js
+
+// DOM-free Texas Hold'em table. The whole hand lives in one state object and
+// every change is reported through events, so the page, a test or a bot can
+// drive the same table.
+
+const minSeats = 2;
+const maxSeats = 9;
+const gameStepHierarchy = ["zeroPlaceholder", "pre flop", "flop", "turn", "river"];
+// Blind levels; the table moves up one level every `handsPerLevel` hands
+const defaultBlindSchedule = [
+    { smallBlind: 5, bigBlind: 10, ante: 0 },
+    { smallBlind: 10, bigBlind: 20, ante: 0 },
+    { smallBlind: 15, bigBlind: 30, ante: 0 },
+    { smallBlind: 25, bigBlind: 50, ante: 5 },
+    { smallBlind: 50, bigBlind: 100, ante: 10 },
+    { smallBlind: 75, bigBlind: 150, ante: 15 },
+    { smallBlind: 100, bigBlind: 200, ante: 25 }
+];
+// Games the table deals. Omaha plays exactly two of its four hole cards (see evaluateOmaha())
+const gameVariants = {
+    holdem: { name: "Hold'em No Limit", holeCards: 2, potLimit: false },
+    omaha: { name: "Omaha Pot Limit", holeCards: 4, potLimit: true }
+};
+const tableEvents = ["handStarted", "cardsDealt", "playerActed", "streetAdvanced", "actionRequired", "runout", "showdown", "handEnded", "botReplaced", "playerEliminated"];
+
+// Build a table. config.random is the seedable generator to use (see Random.js)
+function createPokerTable(config) {
+    const options = Object.assign({
+        seats: 4,
+        variant: "holdem", /*a key of gameVariants*/
+        random: null,
+        blindSchedule: defaultBlindSchedule,
+        handsPerLevel: 10,
+        playerMoney: 500,
+        botBuyIn: 500, /*chips a bot sits down with; a bot that loses them all is replaced by a new one*/
+        eliminateBusted: false, /*tournaments: a seat out of chips is out of the game instead*/
+        botProfiles: [], /*strategy id per seat (see Bots.js), seats left out get a default one*/
+        heroProfile: null /*strategy that plays the hero seat too, for bot-only simulations*/
+    }, config);
+    options.seats = Math.max(minSeats, Math.min(maxSeats, options.seats));
+    const listeners = {};
+    let rotation = -1; /*button of the last hand dealt without a button of its own*/
+    const random = options.random || gameRandom;
+    const variant = gameVariants[options.variant] || gameVariants.holdem;
+    const state = {
+        variant: gameVariants[options.variant] ? options.variant : "holdem",
+        handNumber: 0,
+        seed: null,
+        level: 0,
+        smallBlind: 0,
+        bigBlind: 0,
+        ante: 0,
+        gameStep: 0,
+        street: "idle",
+        handInProgress: false,
+        button: -1, /*moves one seat clockwise before every hand*/
+        actionSeat: null, /*seat whose turn it is*/
+        pot: 0,
+        bet: 0, /*what the hero has put in this hand*/
+        currentBet: 0, /*highest bet on this street*/
+        lastRaise: 0, /*size of the last bet or raise, the next raise must be at least this much*/
+        playerMoney: options.playerMoney,
+        deck: [],
+        communityCards: [],
+        activePlayers: [],
+        runout: false, /*betting is over and the rest of the board is being dealt*/
+        seats: [],
+        profiles: [], /*bot strategy id of every seat, null for a hero played by hand*/
+        botStacks: [], /*chips of every bot, kept from hand to hand*/
+        botIds: [], /*which bot sits in a seat, a new number every time one is replaced*/
+        eliminated: [], /*seats knocked out of a tournament, the first one out first*/
+        result: null
+    };
+    for (let i = 0; i < options.seats; i++) {
+        state.profiles.push(i === 0 ? options.heroProfile : (options.botProfiles[i] || defaultProfileFor(i)));
+        state.botStacks.push(i === 0 ? null : options.botBuyIn);
+        state.botIds.push(i === 0 ? null : 1);
+    }
+
+    function on(eventName, handler) {
+        if (tableEvents.indexOf(eventName) === -1) {
+            console.error("Unknown table event: " + eventName);
+            return false;
+        }
+        (listeners[eventName] = listeners[eventName] || []).push(handler);
+        return true;
+    }
+
+    function off(eventName, handler) {
+        listeners[eventName] = (listeners[eventName] || []).filter(h => h !== handler);
+    }
+
+    function emit(eventName, payload) {
+        (listeners[eventName] || []).forEach(handler => handler(payload, state));
+    }
+
+    function drawCard() {
+        return parseCard(state.deck.shift());
+    }
+
+    function setPlayerMoney(amount) {
+        state.playerMoney = amount;
+    }
+
+    // Chips of a bot, between hands
+    function setBotStack(seat, amount) {
+        if (seat <= 0 || seat >= options.seats || state.handInProgress) return false;
+        state.botStacks[seat] = amount;
+        return true;
+    }
+
+    // What the bots that replace busted ones sit down with
+    function setBotBuyIn(amount) {
+        options.botBuyIn = amount;
+    }
+
+    // Bots with no chips left leave; a new bot with the same personality buys in
+    function replaceBustedBots() {
+        for (let seat = 1; seat < options.seats; seat++) {
+            if (state.botStacks[seat] > 0) continue;
+            state.botStacks[seat] = options.botBuyIn;
+            state.botIds[seat]++;
+            emit("botReplaced", { seat: seat, botId: state.botIds[seat], profile: state.profiles[seat], buyIn: options.botBuyIn });
+        }
+    }
+
+    // Seats still playing. Only tournaments knock seats out
+    function inGame(seat) {
+        return state.eliminated.indexOf(seat) === -1;
+    }
+
+    // Tournaments: seats left without chips are out. Of two going out in the same hand,
+    // the one who started it with more chips finishes higher; with the same chips, the
+    // lower seat number finishes higher. Every seat out is placed before the first
+    // playerEliminated event, so a listener sees the whole hand's result
+    function knockOutBusted() {
+        /*a busted seat lost all it had: what it put in is its stack at the start of the hand*/
+        const busted = state.seats.filter(player => inGame(player.seat) && stackOf(player.seat) <= 0)
+            .sort((a, b) => a.totalBet - b.totalBet || b.seat - a.seat);
+        const knockedOut = busted.map(player => {
+            const place = options.seats - state.eliminated.length;
+            state.eliminated.push(player.seat);
+            player.status = "out";
+            return { seat: player.seat, place: place, handNumber: state.handNumber };
+        });
+        knockedOut.forEach(event => emit("playerEliminated", event));
+    }
+
+    // Give a bot seat another personality. It takes effect from the bot's next decision
+    function setBotProfile(seat, profileId) {
+        if (seat <= 0 || seat >= options.seats || !botStrategies[profileId]) return false;
+        state.profiles[seat] = profileId;
+        if (state.seats[seat]) state.seats[seat].profile = profileId;
+        return true;
+    }
+
+    // Chips a seat can still put in. The hero plays from the bankroll, bots from their stack
+    function stackOf(seat) {
+        return seat === 0 ? state.playerMoney : state.seats[seat].stack;
+    }
+
+    function takeChips(seat, amount) {
+        if (seat === 0) {
+            state.bet += amount;
+            state.playerMoney -= amount;
+        } else {
+            state.seats[seat].stack -= amount;
+        }
+    }
+
+    // Seats clockwise starting left of the button. This is the order of action after the
+    // flop and the first of them gets any odd chips of a split pot
+    function positionOrder() {
+        let order = [];
+        for (let i = 1; i <= options.seats; i++) {
+            const seat = (state.button + i) % options.seats;
+            if (inGame(seat)) order.push(seat);
+        }
+        return order;
+    }
+
+    // Seats paying the blinds. Heads-up the button is the small blind
+    function blindSeats() {
+        const order = positionOrder();
+        if (order.length === 2) {
+            return { smallBlind: state.button, bigBlind: order[0] };
+        }
+        return { smallBlind: order[0], bigBlind: order[1] };
+    }
+
+    // Seats still able to bet: in the hand and not all-in
+    function seatsToAct() {
+        return state.activePlayers.filter(seat => !state.seats[seat].allIn);
+    }
+
+    function nextSeatToAct(afterSeat) {
+        const order = positionOrder();
+        const start = afterSeat === null ? -1 : order.indexOf(afterSeat);
+        for (let i = 1; i <= order.length; i++) {
+            let seat = order[(start + i) % order.length];
+            if (seatsToAct().indexOf(seat) !== -1) return seat;
+        }
+        return null;
+    }
+
+    // The street is over once everybody who can still bet has acted and matched the bet.
+    // A seat left alone to bet only has to match what the others actually put in
+    function roundComplete() {
+        const open = seatsToAct();
+        if (open.length === 0) return true;
+        if (open.length === 1) {
+            const highest = Math.max(0, ...state.activePlayers.filter(seat => seat !== open[0]).map(seat => state.seats[seat].streetBet));
+            if (state.seats[open[0]].streetBet >= highest) return true;
+        }
+        return open.every(seat => state.seats[seat].hasActed && state.seats[seat].streetBet === state.currentBet);
+    }
+
+    // Put a forced bet in without counting it as the seat's action. Antes go to the
+    // pot only, blinds also count as the seat's bet on the pre flop
+    function postForced(seat, kind, amount) {
+        const player = state.seats[seat];
+        const facingBet = state.currentBet;
+        amount = Math.min(amount, stackOf(seat));
+        player.totalBet += amount;
+        state.pot += amount;
+        if (kind !== "ante") {
+            player.streetBet += amount;
+            state.currentBet = Math.max(state.currentBet, player.streetBet);
+        }
+        takeChips(seat, amount);
+        player.allIn = stackOf(seat) === 0;
+        emit("playerActed", { seat: seat, action: kind, amount: amount, streetBet: player.streetBet, facingBet: facingBet, pot: state.pot });
+    }
+
+    // Move chips from a seat into the pot and report the action. facingBet in the event is
+    // the highest bet on the street before it, what a raise was raised from
+    function seatAct(seat, action, amount) {
+        const player = state.seats[seat];
+        const facingBet = state.currentBet;
+        amount = Math.min(amount, stackOf(seat));
+        player.lastMove = action;
+        player.hasActed = true;
+        player.status = action === "fold" ? "folded" : (action === "check" ? "checking" : "betting");
+        if (amount > 0) {
+            player.streetBet += amount;
+            player.totalBet += amount;
+            state.pot += amount;
+            takeChips(seat, amount);
+        }
+        if (player.streetBet > state.currentBet) {
+            /*a full bet or raise reopens the action for everybody else. An all-in short of a
+            full raise only has to be called: who already acted may not raise again*/
+            const increase = player.streetBet - state.currentBet;
+            if (increase >= Math.max(state.lastRaise, state.bigBlind) || stackOf(seat) > 0) {
+                state.lastRaise = Math.max(state.lastRaise, increase);
+                state.seats.forEach(other => {
+                    if (other.seat !== seat) other.hasActed = false;
+                });
+            }
+            state.currentBet = player.streetBet;
+        }
+        if (action !== "fold" && stackOf(seat) === 0) {
+            player.allIn = true;
+            action = "allin";
+        }
+        if (action === "fold") {
+            state.activePlayers = state.activePlayers.filter(other => other !== seat);
+        }
+        emit("playerActed", { seat: seat, action: action, amount: amount, streetBet: player.streetBet, facingBet: facingBet, pot: state.pot });
+    }
+
+    // What a seat may do right now. Raise amounts are what its bet on this street is raised to
+    function legalActionsFor(seat) {
+        const player = state.seats[seat];
+        const stack = stackOf(seat);
+        const toCall = Math.min(state.currentBet - player.streetBet, stack);
+        let maxRaise = player.streetBet + stack;
+        if (variant.potLimit) {
+            /*call first, then raise at most the pot after calling*/
+            maxRaise = Math.min(maxRaise, 2 * state.currentBet - player.streetBet + state.pot);
+        }
+        return {
+            seat: seat,
+            canCheck: toCall === 0,
+            toCall: toCall,
+            canRaise: stack > toCall && !(player.hasActed && toCall > 0),
+            minRaise: Math.min(state.currentBet + Math.max(state.lastRaise, state.bigBlind), maxRaise),
+            maxRaise: maxRaise
+        };
+    }
+
+    // Everything a bot strategy gets to see when it is its turn
+    function botView(seat) {
+        const player = state.seats[seat];
+        const legal = legalActionsFor(seat);
+        return {
+            seat: seat,
+            holeCards: player.holeCards.slice(),
+            communityCards: state.communityCards.slice(),
+            gameStep: state.gameStep,
+            street: state.street,
+            pot: state.pot,
+            currentBet: state.currentBet,
+            streetBet: player.streetBet,
+            toCall: legal.toCall,
+            canRaise: legal.canRaise,
+            minRaise: legal.minRaise,
+            maxRaise: legal.maxRaise,
+            bigBlind: state.bigBlind,
+            stack: stackOf(seat),
+            players: state.activePlayers.length,
+            position: positionOrder().indexOf(seat),
+            random: random
+        };
+    }
+
+    // Bots hand the decision to the strategy of their seat. Whatever it answers is
+    // turned into a legal move: a raise it may not make becomes a call, a check
+    // facing a bet becomes a fold and a fold with nothing to call becomes a check
+    function botAct(seat) {
+        const player = state.seats[seat];
+        const legal = legalActionsFor(seat);
+        const decision = getBotStrategy(player.profile).decide(botView(seat)) || { action: "fold" };
+        if ((decision.action === "bet" || decision.action === "raise") && legal.canRaise) {
+            const amount = Math.max(legal.minRaise, Math.min(Math.round(decision.amount) || 0, legal.maxRaise));
+            seatAct(seat, state.currentBet > 0 ? "raise" : "bet", amount - player.streetBet);
+        } else if (legal.toCall === 0) {
+            seatAct(seat, "check", 0);
+        } else if (decision.action !== "fold" && decision.action !== "check") {
+            seatAct(seat, "call", legal.toCall);
+        } else {
+            seatAct(seat, "fold", 0);
+        }
+    }
+
+    // What the hero may do, null when it is not the hero's turn
+    function getLegalActions() {
+        if (!state.handInProgress || state.actionSeat !== 0) return null;
+        return legalActionsFor(0);
+    }
+
+    function startRound() {
+        state.seats.forEach(player => {
+            player.streetBet = 0;
+            player.hasActed = false;
+        });
+        state.currentBet = 0;
+        state.lastRaise = 0;
+        state.actionSeat = null;
+    }
+
+    function advanceStreet() {
+        state.gameStep++;
+        state.street = gameStepHierarchy[state.gameStep];
+        startRound();
+        const boardSize = state.gameStep < 4 ? state.gameStep + 1 : 5;
+        let dealt = [];
+        while (state.communityCards.length < boardSize) {
+            let card = drawCard();
+            state.communityCards.push(card);
+            dealt.push(card);
+        }
+        emit("cardsDealt", { type: "board", cards: dealt, communityCards: state.communityCards.slice() });
+        emit("streetAdvanced", { gameStep: state.gameStep, street: state.street, communityCards: state.communityCards.slice(), pot: state.pot });
+    }
+
+    // Build the main and side pots, award each one and pay the hero's share. Hands are
+    // only shown when two or more are still in
+    function finishHand(reason) {
+        const folded = state.seats.filter(player => state.activePlayers.indexOf(player.seat) === -1).map(player => player.seat);
+        let hands = [];
+        let handsBySeat = {};
+        if (state.activePlayers.length > 1) {
+            hands = state.activePlayers.map(seat => {
+                return { seat: seat, cards: state.seats[seat].holeCards, hand: evaluateHoldings(state.seats[seat].holeCards, state.communityCards) };
+            });
+            hands.forEach(h => { handsBySeat[h.seat] = h.hand; });
+        }
+        const pots = awardPots(buildPots(state.seats.map(player => player.totalBet), folded), handsBySeat, positionOrder());
+        const won = totalShares(pots);
+        const share = won[0] || 0;
+        state.playerMoney += share;
+        state.seats.forEach(player => {
+            if (player.seat === 0) return;
+            player.stack += won[player.seat] || 0;
+            state.botStacks[player.seat] = player.stack;
+        });
+        state.handInProgress = false;
+        state.actionSeat = null;
+        state.street = "complete";
+        state.result = { reason: reason, winners: pots[0].winners, pots: pots, won: won, pot: state.pot, share: share, hands: hands };
+        if (hands.length > 1) {
+            emit("showdown", state.result);
+        }
+        emit("handEnded", state.result);
+        if (options.eliminateBusted) knockOutBusted();
+    }
+
+    // Run the hand until it is the hero's turn or the hand is over
+    function progress() {
+        const heroFolded = () => state.seats[0].status === "folded";
+        while (state.handInProgress) {
+            if (state.activePlayers.length === 1) {
+                finishHand(heroFolded() ? "fold" : "uncontested");
+                return;
+            }
+            if (roundComplete()) {
+                if (state.gameStep >= 4) {
+                    finishHand(heroFolded() ? "fold" : "showdown");
+                    return;
+                }
+                if (seatsToAct().length <= 1 && !state.runout) {
+                    /*nobody can bet any more: the cards go face up and the board runs out*/
+                    state.runout = true;
+                    emit("runout", { hands: state.activePlayers.map(seat => ({ seat: seat, cards: state.seats[seat].holeCards })), communityCards: state.communityCards.slice() });
+                }
+                advanceStreet();
+                continue;
+            }
+            const seat = nextSeatToAct(state.actionSeat);
+            state.actionSeat = seat;
+            if (seat === 0 && !options.heroProfile) {
+                emit("actionRequired", getLegalActions());
+                return;
+            }
+            botAct(seat);
+        }
+    }
+
+    // Start a hand. Passing the seed of an earlier hand deals the same cards again, and
+    // passing its button too (see handCode()) deals them from the same seat; the blinds and
+    // every stack stay those of the table now, so no chips come or go with a replay. A
+    // tournament deals no more once a single seat is left
+    function deal(seed, button) {
+        if (state.handInProgress || options.seats - state.eliminated.length < 2) return false;
+        if (!options.eliminateBusted) replaceBustedBots();
+        state.seed = random.reseed(seed === undefined || seed === null ? randomSeed() : seed);
+        state.deck = random.shuffle(freshDeck());
+        state.handNumber++;
+        if (Number.isInteger(button) && button >= 0 && button < options.seats && inGame(button)) {
+            state.button = button;
+        } else {
+            do {
+                rotation = (rotation + 1) % options.seats;
+            } while (!inGame(rotation));
+            state.button = rotation;
+        }
+        state.level = Math.min(Math.floor((state.handNumber - 1) / options.handsPerLevel), options.blindSchedule.length - 1);
+        const blinds = options.blindSchedule[state.level];
+        state.smallBlind = blinds.smallBlind;
+        state.bigBlind = blinds.bigBlind;
+        state.ante = blinds.ante || 0;
+        state.handInProgress = true;
+        state.gameStep = 1;
+        state.street = gameStepHierarchy[1];
+        state.communityCards = [];
+        state.result = null;
+        state.runout = false;
+        state.activePlayers = [];
+        state.seats = [];
+        for (let i = 0; i < options.seats; i++) {
+            if (inGame(i)) state.activePlayers.push(i);
+            state.seats.push({ seat: i, isHero: i === 0, holeCards: [], status: inGame(i) ? "ready" : "out", lastMove: null, streetBet: 0, totalBet: 0, hasActed: false, allIn: false, profile: state.profiles[i], botId: state.botIds[i], stack: state.botStacks[i] });
+        }
+        startRound();
+        state.pot = 0;
+        state.bet = 0;
+        const blindSeat = blindSeats();
+        emit("handStarted", {
+            handNumber: state.handNumber,
+            seed: state.seed,
+            button: state.button,
+            smallBlindSeat: blindSeat.smallBlind,
+            bigBlindSeat: blindSeat.bigBlind,
+            level: state.level,
+            smallBlind: state.smallBlind,
+            bigBlind: state.bigBlind,
+            ante: state.ante,
+            variant: state.variant,
+            playerMoney: state.playerMoney,
+            seats: options.seats
+        });
+        if (state.ante > 0) {
+            positionOrder().forEach(seat => postForced(seat, "ante", state.ante));
+        }
+        postForced(blindSeat.smallBlind, "smallBlind", state.smallBlind);
+        postForced(blindSeat.bigBlind, "bigBlind", state.bigBlind);
+        /*a big blind all in for less still leaves the full big blind to call*/
+        state.currentBet = Math.max(state.currentBet, state.bigBlind);
+        state.lastRaise = state.bigBlind;
+
+        state.activePlayers.forEach(i => {
+            state.seats[i].holeCards = [];
+            while (state.seats[i].holeCards.length < variant.holeCards) state.seats[i].holeCards.push(drawCard());
+            emit("cardsDealt", { type: "hole", seat: i, cards: state.seats[i].holeCards });
+        });
+        emit("streetAdvanced", { gameStep: state.gameStep, street: state.street, communityCards: [], pot: state.pot });
+        /*the first to act before the flop sits left of the big blind*/
+        state.actionSeat = blindSeat.bigBlind;
+        progress();
+        return true;
+    }
+
+    function heroAct(action, amount) {
+        seatAct(0, action, amount);
+        progress();
+        return true;
+    }
+
+    function check() {
+        const legal = getLegalActions();
+        if (!legal || !legal.canCheck) return false;
+        return heroAct("check", 0);
+    }
+
+    function call() {
+        const legal = getLegalActions();
+        if (!legal || legal.toCall === 0) return false;
+        return heroAct("call", legal.toCall);
+    }
+
+    // Bet or raise so the hero's bet on this street becomes `amount`
+    function raise(amount) {
+        const legal = getLegalActions();
+        if (!legal || !legal.canRaise || isNaN(amount) || amount < legal.minRaise) return false;
+        amount = Math.min(amount, legal.maxRaise);
+        return heroAct(state.currentBet === 0 ? "bet" : "raise", amount - state.seats[0].streetBet);
+    }
+
+    function fold() {
+        if (!getLegalActions()) return false;
+        /*the other players still play the hand out*/
+        return heroAct("fold", 0);
+    }
+
+    return {
+        state: state,
+        on: on,
+        off: off,
+        deal: deal,
+        check: check,
+        call: call,
+        raise: raise,
+        fold: fold,
+        getLegalActions: getLegalActions,
+        setPlayerMoney: setPlayerMoney,
+        setBotStack: setBotStack,
+        setBotBuyIn: setBotBuyIn,
+        setBotProfile: setBotProfile
+    };
+}
@@ -0,0 +1,107 @@
+// Equity.js
+
+// Chances of the hero's hand against a number of unknown opponent hands. The board is
+// enumerated exactly when that is cheap enough (heads-up on the turn and river) and
+// sampled otherwise.
+
+const equitySamples = 3000; /*Monte Carlo runs per calculation*/
+const omahaEquitySamples = 1000; /*an Omaha hand is ranked 60 ways, fewer runs keep it as quick*/
+const maxExactDeals = 50000; /*largest enumeration still run exactly*/
+
+function cardTitle(card) {
+    return card.value + "-" + card.suit;
+}
+
+function countCombinations(n, k) {
+    let result = 1;
+    for (let i = 0; i < k; i++) {
+        result = result * (n - i) / (i + 1);
+    }
+    return Math.round(result);
+}
+
+// Score one finished board: 1 for a win, 0 for a loss, 1/n for a split between n hands
+function showdownResult(holeCards, board, opponentHands) {
+    const hero = holdingsRankKey(holeCards, board);
+    let tied = 1;
+    for (let i = 0; i < opponentHands.length; i++) {
+        const opponent = holdingsRankKey(opponentHands[i], board);
+        if (opponent > hero) return 0;
+        if (opponent === hero) tied++;
+    }
+    return 1 / tied;
+}
+
+// Every board completion and single opponent hand, for heads-up spots. minStrength
+// leaves out the opponent hands outside their range (see OpponentModel.js)
+function enumerateHeadsUp(holeCards, communityCards, deck, minStrength, tally) {
+    combinations(deck, 5 - communityCards.length).forEach(runout => {
+        const board = communityCards.concat(runout);
+        const rest = deck.filter(card => runout.indexOf(card) === -1);
+        combinations(rest, holeCards.length).forEach(opponent => {
+            if (!minStrength || preflopStrength(opponent) >= minStrength) tally(showdownResult(holeCards, board, [opponent]));
+        });
+    });
+}
+
+function sampleRuns(holeCards, communityCards, deck, opponents, ranges, samples, random, tally) {
+    for (let i = 0; i < samples; i++) {
+        let shuffled = random.shuffle(deck.slice());
+        let opponentHands = [];
+        for (let j = 0; j < opponents; j++) {
+            /*the ranges are of two-card hands, Omaha opponents get any four*/
+            opponentHands.push(holeCards.length === 2 ? dealInRange(shuffled, ranges[j] ? ranges[j].minStrength : 0, random) : shuffled.splice(0, holeCards.length));
+        }
+        const board = communityCards.concat(shuffled.splice(0, 5 - communityCards.length));
+        tally(showdownResult(holeCards, board, opponentHands));
+    }
+}
+
+// Win, tie and loss chances of holeCards on communityCards against `opponents` random
+// hands. options: { samples, random, ranges } - ranges, one per opponent, narrows the
+// hands they are dealt (see estimateRange()). Returns fractions plus the 95% confidence
+// margin of the equity (0 when enumerated)
+function calculateEquity(holeCards, communityCards, opponents, options) {
+    options = Object.assign({ samples: holeCards.length === 4 ? omahaEquitySamples : equitySamples, random: solverRandom, ranges: [] }, options);
+    opponents = Math.max(1, opponents);
+    const known = holeCards.concat(communityCards).map(cardTitle);
+    const deck = freshDeck().filter(title => known.indexOf(title) === -1).map(parseCard);
+    let runs = 0;
+    let wins = 0;
+    let ties = 0;
+    let equity = 0;
+    let squares = 0;
+    const tally = share => {
+        runs++;
+        if (share === 1) wins++;
+        else if (share > 0) ties++;
+        equity += share;
+        squares += share * share;
+    };
+    const exactDeals = countCombinations(deck.length, 5 - communityCards.length) * countCombinations(deck.length - 5 + communityCards.length, holeCards.length);
+    const exact = opponents === 1 && exactDeals <= maxExactDeals;
+    if (exact) {
+        enumerateHeadsUp(holeCards, communityCards, deck, options.ranges[0] ? options.ranges[0].minStrength : 0, tally);
+    } else {
+        sampleRuns(holeCards, communityCards, deck, opponents, options.ranges, options.samples, options.random, tally);
+    }
+    const mean = equity / runs;
+    const variance = Math.max(squares / runs - mean * mean, 0);
+    return {
+        win: wins / runs,
+        tie: ties / runs,
+        loss: (runs - wins - ties) / runs,
+        equity: mean,
+        margin: exact ? 0 : 1.96 * Math.sqrt(variance / runs),
+        runs: runs,
+        exact: exact,
+        opponents: opponents
+    };
+}
+
+// Short text for the panel, e.g. "62.3% ± 1.7% (win 60.1%, tie 2.2%, lose 37.7%)"
+function describeEquity(result) {
+    const percent = value => (value * 100).toFixed(1) + "%";
+    const margin = result.exact ? " (exact)" : " ± " + percent(result.margin);
+    return `${percent(result.equity)}${margin} - win ${percent(result.win)}, tie ${percent(result.tie)}, lose ${percent(result.loss)}`;
+}
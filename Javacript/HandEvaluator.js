@@ -0,0 +1,237 @@
+// HandEvaluator.js
+
+// Cards and hand ranking. evaluateCards() takes any 5 to 7 cards and finds the
+// best five by standard poker rules; the rank key it returns orders any two
+// hands, kickers included. evaluateOmaha() plays exactly two hole cards and three
+// from the board.
+
+const handHeirarchy = ["high-card", "pair", "two-pairs", "three-of-a-kind", "straight", "flush", "full-house", "four-of-a-kind", "straight-flush", "royal-flush"];
+const cardHeirarchy = ["two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "jack", "queen", "king", "ace"];
+const suitArr = ["diamonds", "hearts", "clubs", "spades"];
+
+// Turn a card title such as "ace-hearts" into a card object
+function parseCard(title) {
+    return {
+        suit: title.substring(title.indexOf("-") + 1, title.length),
+        value: title.substring(0, title.indexOf("-"))
+    };
+}
+
+// The 52 card titles, "two-diamonds" to "ace-spades"
+function freshDeck() {
+    let deck = [];
+    cardHeirarchy.forEach(value => {
+        suitArr.forEach(suit => deck.push(value + "-" + suit));
+    });
+    return deck;
+}
+
+// Every way to pick `size` items out of `items`
+function combinations(items, size) {
+    let result = [];
+    (function pick(start, chosen) {
+        if (chosen.length === size) {
+            result.push(chosen.slice());
+            return;
+        }
+        for (let i = start; i <= items.length - (size - chosen.length); i++) {
+            chosen.push(items[i]);
+            pick(i + 1, chosen);
+            chosen.pop();
+        }
+    })(0, []);
+    return result;
+}
+
+// Rank five (or fewer) cards. Kickers are the card values in the order they are compared
+function rankFive(cardsArr) {
+    let sorted = cardsArr.slice().sort((a, b) => cardHeirarchy.indexOf(b.value) - cardHeirarchy.indexOf(a.value));
+    let values = sorted.map(card => cardHeirarchy.indexOf(card.value));
+    let counts = {};
+    values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+    /*groups ordered by size and then by value, e.g. full house kings over fours -> [king, four]*/
+    let groups = Object.keys(counts).map(Number).sort((a, b) => counts[b] - counts[a] || b - a);
+    let shape = groups.map(value => counts[value]);
+
+    let flush = cardsArr.length === 5 && sorted.every(card => card.suit === sorted[0].suit);
+    let straightHigh = -1;
+    if (cardsArr.length === 5 && groups.length === 5) {
+        if (values[0] - values[4] === 4) {
+            straightHigh = values[0];
+        } else if (values[0] === 12 && values[1] === 3) { /*ace to five, the ace plays low*/
+            straightHigh = 3;
+            sorted.push(sorted.shift());
+        }
+    }
+
+    let category = 0;
+    let kickers = groups;
+    if (straightHigh !== -1 && flush) {
+        category = straightHigh === 12 ? 9 : 8;
+        kickers = [straightHigh];
+    } else if (shape[0] === 4) {
+        category = 7;
+    } else if (shape[0] === 3 && shape[1] === 2) {
+        category = 6;
+    } else if (flush) {
+        category = 5;
+    } else if (straightHigh !== -1) {
+        category = 4;
+        kickers = [straightHigh];
+    } else if (shape[0] === 3) {
+        category = 3;
+    } else if (shape[0] === 2 && shape[1] === 2) {
+        category = 2;
+    } else if (shape[0] === 2) {
+        category = 1;
+    }
+    if (straightHigh === -1) {
+        /*best five in the order they count: the groups first, then kickers*/
+        sorted.sort((a, b) => groups.indexOf(cardHeirarchy.indexOf(a.value)) - groups.indexOf(cardHeirarchy.indexOf(b.value)));
+    }
+
+    /*straight flushes and royal flushes share one scale so a royal is just the best straight flush*/
+    let rankKey = (category === 9 ? 8 : category);
+    for (let i = 0; i < 5; i++) {
+        rankKey = rankKey * 13 + (kickers[i] !== undefined ? kickers[i] : 0);
+    }
+    return { category: category, kickers: kickers, bestFive: sorted, rankKey: rankKey };
+}
+
+// Human readable summary, e.g. "pair - kings" or "full-house - kings full of fours"
+function describeRank(category, kickers) {
+    const plural = value => cardHeirarchy[value] + "s";
+    const kicker = value => value !== undefined ? ", " + cardHeirarchy[value] + " kicker" : "";
+    switch (category) {
+        case 0: return " - " + cardHeirarchy[kickers[0]] + " high";
+        case 1: return " - " + plural(kickers[0]) + kicker(kickers[1]);
+        case 2: return " - " + plural(kickers[0]) + " and " + plural(kickers[1]) + kicker(kickers[2]);
+        case 3: return " - " + plural(kickers[0]);
+        case 4: return " - " + cardHeirarchy[kickers[0]] + " high";
+        case 5: return " - " + cardHeirarchy[kickers[0]] + " high";
+        case 6: return " - " + plural(kickers[0]) + " full of " + plural(kickers[1]);
+        case 7: return " - " + plural(kickers[0]);
+        case 8: return " - " + cardHeirarchy[kickers[0]] + " high";
+        default: return "";
+    }
+}
+
+// Best hand out of 5 to 7 cards (fewer cards are ranked as they are, for pre flop)
+function evaluateCards(cardsArr) {
+    const hands = cardsArr.length > 5 ? combinations(cardsArr, 5) : [cardsArr];
+    return bestRanked(hands);
+}
+
+// Omaha: the best hand made of exactly two hole cards and three board cards. Before the
+// flop every two hole cards are ranked alone, and on a board of fewer than three cards
+// with all of it
+function evaluateOmaha(holeCards, communityCards) {
+    const boards = combinations(communityCards, Math.min(3, communityCards.length));
+    let hands = [];
+    combinations(holeCards, 2).forEach(two => boards.forEach(three => hands.push(two.concat(three))));
+    return bestRanked(hands);
+}
+
+// A player's hand: four hole cards are Omaha, two are Hold'em and play any five of the seven
+function evaluateHoldings(holeCards, communityCards) {
+    return holeCards.length === 4 ? evaluateOmaha(holeCards, communityCards) : evaluateCards(holeCards.concat(communityCards));
+}
+
+// Same rank key evaluateHoldings() gives on a full board, for loops that only compare hands
+function holdingsRankKey(holeCards, board) {
+    if (holeCards.length !== 4) return fastRankKey(holeCards.concat(board));
+    const threes = combinations(board, 3);
+    let best = -1;
+    for (let i = 0; i < 4; i++) {
+        for (let j = i + 1; j < 4; j++) {
+            threes.forEach(three => {
+                best = Math.max(best, fastRankKey([holeCards[i], holeCards[j]].concat(three)));
+            });
+        }
+    }
+    return best;
+}
+
+function bestRanked(hands) {
+    let best = null;
+    hands.forEach(five => {
+        let ranked = rankFive(five);
+        if (best === null || ranked.rankKey > best.rankKey) {
+            best = ranked;
+        }
+    });
+    return {
+        category: best.category,
+        name: handHeirarchy[best.category],
+        bestFive: best.bestFive,
+        rankKey: best.rankKey,
+        cardsInvolved: describeRank(best.category, best.kickers)
+    };
+}
+
+// Same rank key evaluateCards() gives for 5 to 7 cards, worked out from value counts and
+// suit masks instead of trying every five card combination. For loops that only compare hands
+function fastRankKey(cardsArr) {
+    let counts = new Array(13).fill(0);
+    let suitMasks = {};
+    let valueMask = 0;
+    cardsArr.forEach(card => {
+        const value = cardHeirarchy.indexOf(card.value);
+        counts[value]++;
+        suitMasks[card.suit] = (suitMasks[card.suit] || 0) | (1 << value);
+        valueMask |= 1 << value;
+    });
+    const key = (category, kickers) => {
+        let rankKey = category;
+        for (let i = 0; i < 5; i++) {
+            rankKey = rankKey * 13 + (kickers[i] || 0);
+        }
+        return rankKey;
+    };
+    /*highest `n` values in mask, leaving out the ones already used*/
+    const topValues = (mask, n, used) => {
+        let values = [];
+        for (let value = 12; value >= 0 && values.length < n; value--) {
+            if ((mask & (1 << value)) && used.indexOf(value) === -1) values.push(value);
+        }
+        return values;
+    };
+    const straightHigh = mask => {
+        for (let high = 12; high >= 4; high--) {
+            if (((mask >> (high - 4)) & 31) === 31) return high;
+        }
+        return (mask & 0x100f) === 0x100f ? 3 : -1; /*ace to five*/
+    };
+    let flushMask = 0;
+    Object.keys(suitMasks).forEach(suit => {
+        if (topValues(suitMasks[suit], 5, []).length === 5) flushMask = suitMasks[suit];
+    });
+    if (flushMask && straightHigh(flushMask) !== -1) return key(8, [straightHigh(flushMask)]);
+    let quads = -1;
+    let trips = [];
+    let pairs = [];
+    for (let value = 12; value >= 0; value--) {
+        if (counts[value] === 4) quads = value;
+        else if (counts[value] === 3) trips.push(value);
+        else if (counts[value] === 2) pairs.push(value);
+    }
+    if (quads !== -1) return key(7, [quads].concat(topValues(valueMask, 1, [quads])));
+    if (trips.length > 1) return key(6, [trips[0], Math.max(trips[1], pairs.length > 0 ? pairs[0] : -1)]);
+    if (trips.length === 1 && pairs.length > 0) return key(6, [trips[0], pairs[0]]);
+    if (flushMask) return key(5, topValues(flushMask, 5, []));
+    if (straightHigh(valueMask) !== -1) return key(4, [straightHigh(valueMask)]);
+    if (trips.length === 1) return key(3, [trips[0]].concat(topValues(valueMask, 2, [trips[0]])));
+    if (pairs.length > 1) return key(2, [pairs[0], pairs[1]].concat(topValues(valueMask, 1, [pairs[0], pairs[1]])));
+    if (pairs.length === 1) return key(1, [pairs[0]].concat(topValues(valueMask, 3, [pairs[0]])));
+    return key(0, topValues(valueMask, 5, []));
+}
+
+// Positive when hand a beats hand b, 0 for a split
+function compareHands(a, b) {
+    return a.rankKey - b.rankKey;
+}
+
+// Category (index in handHeirarchy) of the hole cards together with the board
+function calculateHandStrength(hand, communityCards) {
+    return evaluateCards(hand.concat(communityCards || [])).category;
+}
@@ -0,0 +1,278 @@
+// History.js
+
+// Hand histories. A recorder listens to a table and keeps one structured record per
+// hand: seats, stacks, blinds, hole cards, every action, the board street by street,
+// the showdown and the pot awards. Records export as JSON or as PokerStars style
+// text, which the usual hand history tools read.
+
+const historyFormat = "battlepoker-history";
+const historyVersion = 1;
+const shortValues = { two: "2", three: "3", four: "4", five: "5", six: "6", seven: "7", eight: "8", nine: "9", ten: "T", jack: "J", queen: "Q", king: "K", ace: "A" };
+
+function playerName(seat) {
+    return seat === 0 ? "Hero" : "Player " + (seat + 1);
+}
+
+// "ace-hearts" -> "Ah"
+function shortCard(title) {
+    const card = parseCard(title);
+    return shortValues[card.value] + card.suit.charAt(0);
+}
+
+// The record of `seat` in a recorded hand. Seats already out of a tournament are not in it
+function handSeat(hand, seat) {
+    return hand.seats.find(player => player.seat === seat);
+}
+
+function isForcedBet(action) {
+    return action === "ante" || action === "smallBlind" || action === "bigBlind";
+}
+
+// What a recorded action says in a hand history, e.g. "raises $30 to $40"
+function describeAction(action) {
+    const allIn = action.allIn ? " and is all-in" : "";
+    switch (action.action) {
+        case "ante": return `posts the ante $${action.amount}`;
+        case "smallBlind": return `posts small blind $${action.amount}`;
+        case "bigBlind": return `posts big blind $${action.amount}`;
+        case "fold": return "folds";
+        case "check": return "checks";
+        case "call": return `calls $${action.amount}${allIn}`;
+        case "bet": return `bets $${action.amount}${allIn}`;
+        default: return `raises $${action.to - action.raisedFrom} to $${action.to}${allIn}`;
+    }
+}
+
+// Record every hand played on `table`. options: { sessionId, tableName, onHandRecorded(record),
+// adviceFor() } - adviceFor gives what the AI recommended, stored with each hero decision
+function createHandRecorder(table, options) {
+    options = Object.assign({ sessionId: String(Date.now()), tableName: "BattlePoker", onHandRecorded: null, adviceFor: null }, options);
+    let hands = [];
+    let hand = null;
+
+    table.on("handStarted", (event, state) => {
+        hand = {
+            id: options.sessionId + String(event.handNumber).padStart(4, "0"),
+            sessionId: options.sessionId,
+            handNumber: event.handNumber,
+            seed: event.seed,
+            startedAt: new Date().toISOString(),
+            tableName: options.tableName,
+            variant: event.variant,
+            tableSize: event.seats,
+            button: event.button,
+            smallBlindSeat: event.smallBlindSeat,
+            bigBlindSeat: event.bigBlindSeat,
+            level: event.level,
+            smallBlind: event.smallBlind,
+            bigBlind: event.bigBlind,
+            ante: event.ante,
+            seats: state.seats.filter(player => player.status !== "out").map(player => ({
+                seat: player.seat,
+                name: playerName(player.seat),
+                isHero: player.isHero,
+                profile: player.profile || null,
+                stack: player.seat === 0 ? event.playerMoney : (isFinite(player.stack) ? player.stack : null), /*null: unlimited chips*/
+                holeCards: [],
+                foldedOn: null
+            })),
+            actions: [],
+            board: { flop: [], turn: [], river: [] },
+            showdown: [],
+            pots: [],
+            result: null
+        };
+    });
+
+    table.on("cardsDealt", (event, state) => {
+        if (!hand) return;
+        const titles = event.cards.map(cardTitle);
+        if (event.type === "hole") {
+            handSeat(hand, event.seat).holeCards = titles;
+        } else {
+            hand.board[state.street] = titles;
+        }
+    });
+
+    table.on("playerActed", (event, state) => {
+        if (!hand) return;
+        let action = event.action;
+        let allIn = false;
+        if (action === "allin") {
+            allIn = true;
+            action = event.streetBet > event.facingBet ? (event.facingBet === 0 ? "bet" : "raise") : "call";
+        }
+        let entry = {
+            street: state.street,
+            seat: event.seat,
+            action: action,
+            amount: event.amount,
+            raisedFrom: action === "raise" ? event.facingBet : undefined,
+            to: event.streetBet,
+            allIn: allIn,
+            pot: event.pot
+        };
+        if (event.seat === 0 && !isForcedBet(action) && options.adviceFor) {
+            entry.advice = options.adviceFor() || undefined;
+        }
+        hand.actions.push(entry);
+        if (action === "fold") {
+            handSeat(hand, event.seat).foldedOn = state.street;
+        }
+    });
+
+    table.on("handEnded", (result, state) => {
+        if (!hand) return;
+        hand.showdown = result.hands.length > 1 ? result.hands.map(shown => ({
+            seat: shown.seat,
+            cards: shown.cards.map(cardTitle),
+            hand: shown.hand.name,
+            description: shown.hand.name + shown.hand.cardsInvolved
+        })) : [];
+        hand.pots = result.pots.map(pot => ({ name: pot.name, amount: pot.amount, eligible: pot.eligible, winners: pot.winners, shares: pot.shares }));
+        hand.result = {
+            reason: result.reason,
+            pot: result.pot,
+            won: result.won,
+            heroNet: result.share - state.bet,
+            playerMoney: state.playerMoney
+        };
+        hands.push(hand);
+        if (options.onHandRecorded) options.onHandRecorded(hand);
+        hand = null;
+    });
+
+    return {
+        sessionId: options.sessionId,
+        hands: () => hands.slice(),
+        clear: () => { hands = []; }
+    };
+}
+
+// All the hands as one versioned JSON document
+function historyToJSON(hands) {
+    return JSON.stringify({ format: historyFormat, version: historyVersion, exportedAt: new Date().toISOString(), hands: hands }, null, 2);
+}
+
+const recordedStreets = ["pre flop", "flop", "turn", "river"];
+const recordedActions = ["ante", "smallBlind", "bigBlind", "fold", "check", "call", "bet", "raise"];
+
+// Whether `hand` has every field the replayer, the stats and the text export read, with
+// seats, cards and actions they can use. A history file may come from anybody
+function isRecordedHand(hand) {
+    const isNumber = value => typeof value === "number" && isFinite(value);
+    const isObject = value => value !== null && typeof value === "object";
+    const isCards = titles => Array.isArray(titles) && titles.every(title => freshDeck().indexOf(title) !== -1);
+    if (!isObject(hand) || !Array.isArray(hand.seats) || hand.seats.length === 0) return false;
+    const seatNumbers = hand.seats.map(player => isObject(player) ? player.seat : null);
+    const isSeat = seat => Number.isInteger(seat) && seatNumbers.indexOf(seat) !== -1;
+    if (seatNumbers[0] !== 0 || !hand.seats.every(player => Number.isInteger(player.seat) && typeof player.name === "string" &&
+        isCards(player.holeCards) && (player.stack === null || isNumber(player.stack)))) return false;
+    if (!Number.isInteger(hand.handNumber) || !Number.isInteger(hand.seed) || !Number.isInteger(hand.tableSize) || !isSeat(hand.button) ||
+        !isNumber(hand.smallBlind) || !isNumber(hand.bigBlind) || typeof hand.startedAt !== "string") return false;
+    if (!isObject(hand.board) || !["flop", "turn", "river"].every(street => isCards(hand.board[street]))) return false;
+    const validAction = action => isObject(action) && recordedStreets.indexOf(action.street) !== -1 && isSeat(action.seat) &&
+        recordedActions.indexOf(action.action) !== -1 && isNumber(action.amount) && isNumber(action.to) && isNumber(action.pot) &&
+        (action.action !== "raise" || isNumber(action.raisedFrom)) &&
+        (action.advice === undefined || (isObject(action.advice) && typeof action.advice.action === "string" && isNumber(action.advice.probability)));
+    if (!Array.isArray(hand.actions) || !hand.actions.every(validAction)) return false;
+    if (!Array.isArray(hand.showdown) || !hand.showdown.every(shown => isObject(shown) && isSeat(shown.seat) && isCards(shown.cards))) return false;
+    if (!Array.isArray(hand.pots) || !hand.pots.every(pot => isObject(pot) && typeof pot.name === "string" && isNumber(pot.amount) &&
+        Array.isArray(pot.winners) && pot.winners.every(isSeat) && isObject(pot.shares))) return false;
+    return isObject(hand.result) && isObject(hand.result.won) && isNumber(hand.result.pot);
+}
+
+// Hands out of a JSON history, or null when the text is not one or a hand in it is broken
+function historyFromJSON(text) {
+    try {
+        const history = JSON.parse(text);
+        if (history.format !== historyFormat || !Array.isArray(history.hands) || !history.hands.every(isRecordedHand)) return null;
+        return history.hands;
+    } catch (error) {
+        return null;
+    }
+}
+
+// One hand in PokerStars text format
+function handToText(hand) {
+    const name = seat => handSeat(hand, seat).name;
+    const money = amount => "$" + amount;
+    const cardsText = titles => "[" + titles.map(shortCard).join(" ") + "]";
+    const date = hand.startedAt.substring(0, 19).replace(/-/g, "/").replace("T", " ");
+    let lines = [];
+    lines.push(`PokerStars Hand #${hand.id}:  ${gameVariants[hand.variant || "holdem"].name} (${money(hand.smallBlind)}/${money(hand.bigBlind)} USD) - ${date} UTC`);
+    lines.push(`Table '${hand.tableName}' ${hand.tableSize}-max Seat #${hand.button + 1} is the button`);
+    hand.seats.forEach(player => {
+        lines.push(`Seat ${player.seat + 1}: ${player.name} (${player.stack === null ? "unlimited chips" : money(player.stack) + " in chips"})`);
+    });
+
+    const streetHeaders = {
+        flop: () => `*** FLOP *** ${cardsText(hand.board.flop)}`,
+        turn: () => `*** TURN *** ${cardsText(hand.board.flop)} ${cardsText(hand.board.turn)}`,
+        river: () => `*** RIVER *** ${cardsText(hand.board.flop.concat(hand.board.turn))} ${cardsText(hand.board.river)}`
+    };
+    let street = "pre flop";
+    let holeCardsShown = false;
+    let headersShown = {};
+    const showStreet = boardStreet => {
+        if (!headersShown[boardStreet]) lines.push(streetHeaders[boardStreet]());
+        headersShown[boardStreet] = true;
+    };
+    hand.actions.forEach(action => {
+        if (!isForcedBet(action.action) && !holeCardsShown) {
+            lines.push("*** HOLE CARDS ***");
+            lines.push(`Dealt to ${name(0)} ${cardsText(handSeat(hand, 0).holeCards)}`);
+            holeCardsShown = true;
+        }
+        if (action.street !== street) {
+            showStreet(action.street);
+            street = action.street;
+        }
+        lines.push(`${name(action.seat)}: ${describeAction(action)}`);
+    });
+    /*streets dealt after everybody was all-in have no actions of their own*/
+    ["flop", "turn", "river"].forEach(boardStreet => {
+        if (hand.board[boardStreet].length > 0) showStreet(boardStreet);
+    });
+
+    if (hand.showdown.length > 0) {
+        lines.push("*** SHOW DOWN ***");
+        hand.showdown.forEach(shown => {
+            lines.push(`${name(shown.seat)}: shows ${cardsText(shown.cards)} (${shown.description})`);
+        });
+    }
+    hand.pots.forEach((pot, index) => {
+        const from = hand.pots.length === 1 ? "pot" : (index === 0 ? "main pot" : "side pot-" + index);
+        Object.keys(pot.shares).forEach(seat => {
+            lines.push(`${name(Number(seat))} collected ${money(pot.shares[seat])} from ${from}`);
+        });
+    });
+
+    lines.push("*** SUMMARY ***");
+    const potParts = hand.pots.length > 1 ? " " + hand.pots.map((pot, index) => `${index === 0 ? "Main pot" : "Side pot-" + index} ${money(pot.amount)}.`).join(" ") : "";
+    lines.push(`Total pot ${money(hand.result.pot)}${potParts} | Rake $0`);
+    const board = hand.board.flop.concat(hand.board.turn, hand.board.river);
+    if (board.length > 0) {
+        lines.push(`Board ${cardsText(board)}`);
+    }
+    const streetLabels = { "pre flop": "before Flop", flop: "on the Flop", turn: "on the Turn", river: "on the River" };
+    hand.seats.forEach(player => {
+        let role = "";
+        if (player.seat === hand.button) role = " (button)";
+        else if (player.seat === hand.smallBlindSeat) role = " (small blind)";
+        else if (player.seat === hand.bigBlindSeat) role = " (big blind)";
+        const won = hand.result.won[player.seat] || 0;
+        const shown = hand.showdown.find(s => s.seat === player.seat);
+        let outcome;
+        if (player.foldedOn) outcome = `folded ${streetLabels[player.foldedOn]}`;
+        else if (shown) outcome = `showed ${cardsText(shown.cards)} and ${won > 0 ? "won (" + money(won) + ")" : "lost"} with ${shown.description}`;
+        else outcome = won > 0 ? `collected (${money(won)})` : "mucked";
+        lines.push(`Seat ${player.seat + 1}: ${player.name}${role} ${outcome}`);
+    });
+    return lines.join("\n");
+}
+
+// Hands one after the other, as tools expect them in a single file
+function historyToText(hands) {
+    return hands.map(handToText).join("\n\n\n") + "\n";
+}
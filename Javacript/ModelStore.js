@@ -0,0 +1,75 @@
+// ModelStore.js
+
+// The AI's learned strategy kept in IndexedDB so training carries over between visits.
+// Records are keyed by kind and model version: "model-v1" is the one being trained,
+// "blueprint-v1" a read-only model loaded from a file.
+
+const modelDatabaseName = "BattlePoker";
+const modelStoreName = "cfrModels";
+
+function openModelDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+            reject(new Error("IndexedDB is not available"));
+            return;
+        }
+        const request = indexedDB.open(modelDatabaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(modelStoreName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request on the model store, resolving with its result once the transaction is done
+function modelStoreRequest(mode, run) {
+    return openModelDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(modelStoreName, mode);
+        const request = run(transaction.objectStore(modelStoreName));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+function modelKey(kind) {
+    return kind + "-v" + cfrModelVersion;
+}
+
+function saveModel(kind, model) {
+    return modelStoreRequest("readwrite", store => store.put(model, modelKey(kind)));
+}
+
+// Resolves with the saved model, undefined when there is none
+function loadSavedModel(kind) {
+    return modelStoreRequest("readonly", store => store.get(modelKey(kind)));
+}
+
+function deleteSavedModel(kind) {
+    return modelStoreRequest("readwrite", store => store.delete(modelKey(kind)));
+}
+
+// Offer a model as a JSON file download
+function downloadModel(model) {
+    downloadFile(`battlepoker-ai-v${model.version}${model.blueprint ? "-blueprint" : ""}.json`, JSON.stringify(model), "application/json");
+}
+
+// Resolves with the model parsed from a picked JSON file
+function readModelFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                resolve(JSON.parse(reader.result));
+            } catch (error) {
+                reject(error);
+            }
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
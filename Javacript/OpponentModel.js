@@ -0,0 +1,164 @@
+// OpponentModel.js
+
+// Reads on the bots. A model listens to a table and counts, for every opponent, how
+// often they put money in, raise before the flop, bet or raise on each street, fold
+// when bet into and how strong the hands they show down are. From those counts it
+// guesses the range of hole cards each one plays, which the equity and the CFR
+// training deal from instead of from every hand.
+
+const readStreets = ["pre flop", "flop", "turn", "river"];
+const readPriorHands = 8; /*hands of an average player assumed before any are seen*/
+const readPriorVpip = 0.35;
+const rangeDealTries = 30;
+
+let rangeStrengths = null; /*preflopStrength of every two-card combination, strongest first*/
+
+// Lowest preflopStrength inside the top `width` (0..1) of all starting hands
+function rangeThreshold(width) {
+    if (!rangeStrengths) {
+        rangeStrengths = combinations(freshDeck().map(parseCard), 2).map(preflopStrength).sort((a, b) => b - a);
+    }
+    const index = Math.min(rangeStrengths.length - 1, Math.max(0, Math.ceil(width * rangeStrengths.length) - 1));
+    return rangeStrengths[index];
+}
+
+function emptyRead(seat, profile) {
+    let read = { seat: seat, profile: profile, hands: 0, vpip: 0, pfr: 0, facedBet: 0, foldedToBet: 0, showdowns: 0, showdownStrength: 0, showdownCategory: 0, streets: {} };
+    readStreets.forEach(street => { read.streets[street] = { acted: 0, aggressive: 0, calls: 0 }; });
+    return read;
+}
+
+// Frequencies of a read, as fractions, with null where nothing was seen yet
+function readFrequencies(read) {
+    const ratio = (part, whole) => whole > 0 ? part / whole : null;
+    let betFrequency = {};
+    let aggressive = 0;
+    let calls = 0;
+    readStreets.forEach(street => {
+        const counts = read.streets[street];
+        betFrequency[street] = ratio(counts.aggressive, counts.acted);
+        if (street !== "pre flop") {
+            aggressive += counts.aggressive;
+            calls += counts.calls;
+        }
+    });
+    return {
+        hands: read.hands,
+        vpip: ratio(read.vpip, read.hands),
+        pfr: ratio(read.pfr, read.hands),
+        foldToBet: ratio(read.foldedToBet, read.facedBet),
+        betFrequency: betFrequency,
+        aggressionFactor: calls > 0 ? aggressive / calls : null,
+        showdowns: read.showdowns,
+        showdownStrength: ratio(read.showdownStrength, read.showdowns)
+    };
+}
+
+// The starting hands an opponent likely plays: the top share of hands matching how often
+// they put money in, pulled towards an average player while few hands are seen.
+// { width, minStrength }
+function estimateRange(read) {
+    const width = (read.vpip + readPriorVpip * readPriorHands) / (read.hands + readPriorHands);
+    return { width: width, minStrength: rangeThreshold(width) };
+}
+
+// Two cards out of `deck` inside the range (removed from the deck), the first two cards
+// when none turn up in a few tries or there is no range
+function dealInRange(deck, minStrength, random) {
+    if (minStrength) {
+        for (let i = 0; i < rangeDealTries; i++) {
+            const first = Math.floor(random.next() * deck.length);
+            const second = Math.floor(random.next() * (deck.length - 1));
+            const other = second >= first ? second + 1 : second;
+            if (preflopStrength([deck[first], deck[other]]) >= minStrength) {
+                const cards = [deck[first], deck[other]];
+                deck.splice(Math.max(first, other), 1);
+                deck.splice(Math.min(first, other), 1);
+                return cards;
+            }
+        }
+    }
+    return deck.splice(0, 2);
+}
+
+// Badge text for a seat, e.g. "24h 38/12 AF 1.5 FtB 60%"
+function describeRead(read) {
+    if (!read || read.hands === 0) return "";
+    const frequencies = readFrequencies(read);
+    const percent = value => value === null ? "-" : Math.round(value * 100);
+    let parts = [`${read.hands}h ${percent(frequencies.vpip)}/${percent(frequencies.pfr)}`];
+    if (frequencies.aggressionFactor !== null) parts.push("AF " + frequencies.aggressionFactor.toFixed(1));
+    if (frequencies.foldToBet !== null) parts.push(`FtB ${percent(frequencies.foldToBet)}%`);
+    return parts.join(" ");
+}
+
+// Keep reads on every bot of `table`. A read belongs to a seat, the personality playing
+// it and the bot sitting there, so picking another profile or a new bot starts a fresh read
+function createOpponentModel(table) {
+    let reads = {};
+    let handReads = {}; /*seat -> read for this hand*/
+    let counted = {}; /*seat -> { vpip, pfr } already counted this hand*/
+
+    const readKey = player => player.seat + ":" + (player.profile || "") + ":" + (player.botId || "");
+
+    table.on("handStarted", (event, state) => {
+        handReads = {};
+        counted = {};
+        state.seats.forEach(player => {
+            if (player.seat === 0 || player.status === "out") return;
+            const key = readKey(player);
+            reads[key] = reads[key] || emptyRead(player.seat, player.profile || null);
+            reads[key].hands++;
+            handReads[player.seat] = reads[key];
+            counted[player.seat] = { vpip: false, pfr: false };
+        });
+    });
+
+    table.on("playerActed", (event, state) => {
+        const read = handReads[event.seat];
+        if (event.action === "ante") return;
+        const facingBet = event.facingBet > event.streetBet - event.amount;
+        if (read && !isForcedBet(event.action)) {
+            const raised = event.action === "bet" || event.action === "raise" || (event.action === "allin" && event.streetBet > event.facingBet);
+            const called = event.action === "call" || (event.action === "allin" && event.streetBet <= event.facingBet);
+            const counts = read.streets[state.street];
+            counts.acted++;
+            if (raised) counts.aggressive++;
+            if (called) counts.calls++;
+            if (facingBet) {
+                read.facedBet++;
+                if (event.action === "fold") read.foldedToBet++;
+            }
+            if (state.street === "pre flop" && (raised || called) && !counted[event.seat].vpip) {
+                read.vpip++;
+                counted[event.seat].vpip = true;
+            }
+            if (state.street === "pre flop" && raised && !counted[event.seat].pfr) {
+                read.pfr++;
+                counted[event.seat].pfr = true;
+            }
+        }
+    });
+
+    table.on("handEnded", result => {
+        if (result.hands.length < 2) return;
+        result.hands.forEach(shown => {
+            const read = handReads[shown.seat];
+            if (!read) return;
+            read.showdowns++;
+            read.showdownStrength += preflopStrength(shown.cards);
+            read.showdownCategory += shown.hand.category;
+        });
+    });
+
+    return {
+        // Read of the bot sitting at `seat` now, null for the hero
+        readFor: seat => {
+            const player = table.state.seats[seat];
+            return seat === 0 || !player ? null : (reads[readKey(player)] || emptyRead(seat, player.profile || null));
+        },
+        // Ranges of the opponents still in the hand, in seat order
+        liveRanges: () => table.state.activePlayers.filter(seat => seat !== 0).map(seat => estimateRange(reads[readKey(table.state.seats[seat])] || emptyRead(seat, null))),
+        reset: () => { reads = {}; }
+    };
+}
@@ -1,85 +1,95 @@
-let playedTimes = 0;
-let maxBetHit = false;
-let dblBets = false;
-let hasRaised = false;
-localStorage.setItem("completeCards", JSON.stringify(cards));
-const activeCards = JSON.parse(localStorage.getItem("completeCards"));
-const handHeirarchy = ["high-card", "pair", "two-pairs", "three-of-a-kind", "straight", "flush", "full-house", "four-of-a-kind", "straight-flush", "royal-flush"];
-const cardHeirarchy = ["two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "jack", "queen", "king", "ace"];
-const suitArr = ["diamonds", "hearts", "clubs", "spades"];
-const playersDetails = ["playerHandDetails", "playerTwoHandDetails", "playerThreeHandDetails", "playerFourHandDetails"];
-const playerIds = ["playerCards", "playerTwoCards", "playerThreeCards", "playerFourCards"];
-const gameStepHierarchy = ["zeroPlaceholder", "pre flop", "flop", "turn", "river"];
-let usedCardsArr = [];
-let communityCardsHTML = "";
-/*looking for pairs*/
-plyr1Pair = [];
-plyr2Pair = [];
-plyr3Pair = [];
-plyr4Pair = [];
-let player0Obj;
-let player1Obj;
-let player2Obj;
-let player3Obj;
-const playersHands = [player0Obj, player1Obj, player2Obj, player3Obj];
-let bestHoleCards = [];
-let resultList = [0, 0, 0, 0];
-let compareCards = [0, 0, 0, 0];
-let activePlayers = [0, 1, 2, 3];
-let playerHighCards = [0, 0, 0, 0];
-let playerStraightHighCard = [0, 0, 0, 0];
-let topHand;
+/*seat containers are generated for the table size picked at session start*/
+let playersDetails = [];
+let playerIds = [];
 const plyr = "<i class='fas fa-user'></i> ";
-const yourDetails = document.querySelector("[data-player='0']");
+let yourDetails = null;
 const messageElement = document.getElementById("message");
-let communityCards = [];
 /*If there is money in localstorage it keeps but reset if it is not*/
-let thePot = 0;
-let playerMoney = localStorage.getItem('balance');
+let playerMoney = profileStorage.getItem('balance');
 playerMoney = playerMoney ? parseInt(playerMoney) : 500;
+playerMoney = isNaN(playerMoney) ? 500 : playerMoney;
+/*Bankroll rules: what a new bot buys in for and how often the hero may buy in again*/
+let rebuyPolicy = Object.assign({ botBuyIn: 500, amount: 500, maxRebuys: 3, auto: false }, JSON.parse(profileStorage.getItem("rebuyPolicy") || "{}"));
+let rebuysUsed = parseInt(profileStorage.getItem("rebuysUsed")) || 0; /*rebuys taken since the wallet was last reset*/
+let gameDisabled = false;
 
+// The game rules live in Engine.js, this file only renders the table events
+let table = null;
 
 document.querySelector("#playerMoney").innerHTML = playerMoney;
 
-let bet = 0;
-let gameIncrement = 1;
-let updatedBets = false;
-let maxBet = [100, 200, 300];/*start random bet */
-let bet1 = Math.floor(Math.random() * (maxBet[0] - 1 + 1) + 10);
-let bet2 = Math.floor(Math.random() * (maxBet[1] - maxBet[0] + 1) + maxBet[0]);
-let bet3 = Math.floor(Math.random() * (maxBet[2] - maxBet[1] + 1) + maxBet[1]);
-let monetaryVal = [null, 10, bet1, bet2, bet3];
-
 function setPlayerMoney(winLoseBet) {
-    playerMoney = isNaN(playerMoney) ? 500 : playerMoney;
-    document.getElementById("betTarget").innerHTML = "Bet $" + bet;
+    playerMoney = table.state.playerMoney;
+    document.getElementById("betTarget").innerHTML = "Bet $" + table.state.bet;
     document.getElementById("playerMoney").innerHTML = playerMoney;
     document.querySelector("#playerMoney").innerHTML = playerMoney;/*SAFARI BUG NEEDS BOTH*/
-    localStorage.setItem("balance", playerMoney);
+    if (!tournament) profileStorage.setItem("balance", playerMoney); /*tournament chips are not money*/
     return false;
 }
 
-// Not negative balance, no debts for the player unless he accepts to restart again
+// Not negative balance, no debts for the player: a broke player buys in again while the
+// rebuy policy allows it, asked first unless rebuys are automatic
 function resetPlayerMoney() {
+    if (tournament) return true; /*no rebuys in a tournament, going broke is going out*/
     if (playerMoney <= 0) {
+        if (rebuysUsed >= rebuyPolicy.maxRebuys) {
+            alert(`You are broke and all ${rebuyPolicy.maxRebuys} rebuys are used. The game is disabled, reset the wallet in the profile panel to start again.`);
+            disableGame();
+            return false;
+        }
         // Tell player he is out
-        const confirmation = confirm("You are broken so I guess you didn't DO THE MATH, do you want to start again?");
+        const confirmation = rebuyPolicy.auto || confirm(`You are broken so I guess you didn't DO THE MATH, do you want to buy in again for $${rebuyPolicy.amount}? (${rebuyPolicy.maxRebuys - rebuysUsed} rebuys left)`);
 
         if (confirmation) {
             // Once confirmed restart
-            playerMoney = 500;
-            localStorage.setItem('balance', playerMoney);
+            rebuysUsed++;
+            profileStorage.setItem("rebuysUsed", rebuysUsed);
+            const change = rebuyPolicy.amount - playerMoney;
+            playerMoney = rebuyPolicy.amount;
+            table.setPlayerMoney(playerMoney);
+            profileStorage.setItem('balance', playerMoney);
             document.querySelector("#playerMoney").innerHTML = playerMoney;
-            alert("Your Balance is again $500. ¡This time DO THE MATH!");
+            showRebuyPolicy();
+            recordTransaction("rebuy", change, playerMoney, `Rebuy ${rebuysUsed} of ${rebuyPolicy.maxRebuys}`);
+            if (!rebuyPolicy.auto) alert(`Your Balance is again $${playerMoney}. ¡This time DO THE MATH!`);
         } else {
             // Disable the game unless get player confirmation
             alert("The game is disabled, please refresh the page to start again.");
-            disableGame(); 
+            disableGame();
+            return false;
         }
     }
+    return true;
+}
+
+// Bankroll inputs from the saved policy, with the rebuys left
+function showRebuyPolicy() {
+    document.getElementById("botBuyIn").value = rebuyPolicy.botBuyIn;
+    document.getElementById("rebuyAmount").value = rebuyPolicy.amount;
+    document.getElementById("maxRebuys").value = rebuyPolicy.maxRebuys;
+    document.getElementById("autoRebuy").checked = rebuyPolicy.auto;
+    document.getElementById("rebuysLeft").innerHTML = `${Math.max(0, rebuyPolicy.maxRebuys - rebuysUsed)} rebuys left`;
+}
+
+function saveRebuyPolicy() {
+    const positive = (id, fallback) => {
+        const value = Math.floor(Number(document.getElementById(id).value));
+        return isNaN(value) || value < 0 ? fallback : value;
+    };
+    rebuyPolicy = {
+        botBuyIn: Math.max(1, positive("botBuyIn", rebuyPolicy.botBuyIn)),
+        amount: Math.max(1, positive("rebuyAmount", rebuyPolicy.amount)),
+        maxRebuys: positive("maxRebuys", rebuyPolicy.maxRebuys),
+        auto: document.getElementById("autoRebuy").checked
+    };
+    profileStorage.setItem("rebuyPolicy", JSON.stringify(rebuyPolicy));
+    table.setBotBuyIn(rebuyPolicy.botBuyIn); /*for the bots that sit down from now on*/
+    showRebuyPolicy();
+    return false;
 }
 
 function disableGame() {
+    gameDisabled = true;
     const buttonsToDisable = [
         "[data-round='match']",
         "[data-round='raise']",
@@ -92,11 +102,11 @@ function disableGame() {
         const buttons = document.querySelectorAll(selector);
         buttons.forEach(button => {
             button.disabled = true;
-            button.classList.add('disabled'); 
+            button.classList.add('disabled');
 
             // Eliminate previous events
             button.onclick = (event) => {
-                event.preventDefault(); 
+                event.preventDefault();
                 event.stopPropagation();
                 return false;
             };
@@ -105,56 +115,30 @@ function disableGame() {
     document.getElementById("betTarget").innerHTML = "The game is disabled";
 }
 
-
-function showPlayersCards() {
-    for (let i = 0; i < 4; i++) {
-        let playerCardsHTML = "";
-        for (let j = 0; j < playersHands[i].length; j++) {
-            playerCardsHTML = playerCardsHTML + "<div class='card " + playersHands[i][j].value + "-" + playersHands[i][j].suit + "' ></div>";
-            document.getElementById(playerIds[i]).innerHTML = playerCardsHTML;
-        }
-    }
-}
-
-function generate(activeCards) {
-    return Math.floor(Math.random() * activeCards.length);
-}
-
-function buildCommunityCards(howMany, step) {
-    while (communityCards.length < howMany) {
-        let genNumber = generate(activeCards);
-        if (usedCardsArr.indexOf(activeCards[genNumber].title) === -1) {
-            communityCardsHTML = communityCardsHTML + `<div class='card ${activeCards[genNumber].title}' ></div>`;
-            communityCards.push({
-                suit: activeCards[genNumber].title.substring(activeCards[genNumber].title.indexOf("-") + 1, activeCards[genNumber].title.length),
-                value: activeCards[genNumber].title.substring(0, activeCards[genNumber].title.indexOf("-"))
-            });
-            usedCardsArr.push(cards[genNumber].title);
-        }
-    }
-    document.getElementById("communityCards").innerHTML = communityCardsHTML;
-    //if (step === 2) document.getElementById("communityCardDetails").innerHTML = "Community Cards";
+function cardHTML(card) {
+    return "<div class='card " + card.value + "-" + card.suit + "' ></div>";
 }
 
-function getOccurrence(list, value) {/*start how many times number in array*/
-    var count = 0;
-    list.forEach((v) => (v === value && count++));
-    return count;
+function showPlayersCards() {
+    table.state.seats.forEach((player, i) => {
+        document.getElementById(playerIds[i]).innerHTML = player.holeCards.map(cardHTML).join("");
+    });
 }
 
 function clear(action) {
     if (action === "fold") {
         document.getElementById("notification").classList.remove("alert-success");
         document.getElementById("notification").classList.add("alert-danger");
-        document.getElementById("playerHandDetails").classList.remove("alert-success");
-        document.getElementById("playerHandDetails").classList.add("alert-danger");
-        document.getElementById("playerHandDetails").innerHTML = "You folded.";
+        yourDetails.classList.remove("alert-success");
+        yourDetails.classList.add("alert-danger");
+        yourDetails.innerHTML = "You folded.";
         showPlayersCards();
     }
     document.getElementById("foldBt").classList.add("hide");
     document.querySelector("[data-round='max']").classList.add("hide");
     document.querySelector("[data-round='match']").classList.add("hide");
     document.querySelector("[data-round='raise']").classList.add("hide");
+    document.getElementById("betSizing").classList.add("hide");
     document.querySelector("[data-round='check']").classList.add("hide");
     document.getElementById("status").classList.add("hide");
     document.querySelector("button[title='Deal']").disabled = false;
@@ -162,23 +146,16 @@ function clear(action) {
 }
 
 function fold() {
-    document.getElementById("betTarget").innerHTML = "Folded. You lost $" + bet + ". Place your bet.";
-    buildCommunityCards(5, "default");
-    document.querySelector("[data-round='max']").disabled = true;
-    document.querySelector("[data-round='raise']").disabled = true;
-    document.querySelector("[data-round='match']").disabled = true;
-    document.querySelector("[data-round='check']").disabled = true;
-    clear("fold");
+    table.fold();
     window.location = "#";
 }
 
-function youWin(type) {
+function youWin(type, amountWon) {
     if (type === "split") {
-        thePot = (thePot / 2);
         document.getElementById("betTarget").innerHTML = "SPLIT POT";
-        messageElement.innerHTML = "Split pot. You Won $" + thePot;
+        messageElement.innerHTML = "Split pot. You Won $" + amountWon;
     } else {
-        messageElement.innerHTML = "You Won $" + thePot;
+        messageElement.innerHTML = "You Won $" + amountWon;
         document.getElementById("betTarget").innerHTML = "TEXAS HOLDEM";
     }
     document.getElementById("foldBt").classList.add("hide");
@@ -186,6 +163,7 @@ function youWin(type) {
     document.querySelector("[data-round='match']").classList.add("hide");
     document.querySelector("[data-round='check']").classList.add("hide");
     document.querySelector("[data-round='raise']").classList.add("hide");
+    document.getElementById("betSizing").classList.add("hide");
     document.querySelector("[data-player='0']").classList.remove("alert-info");
     document.querySelector("[data-player='0']").classList.remove("alert-danger");
     document.querySelector("[data-player='0']").classList.add("alert-success");
@@ -196,10 +174,8 @@ function youWin(type) {
     document.querySelector("#notification").classList.remove("alert-info");
     document.querySelector("#status").classList.remove("hide");
     document.getElementById("notification").classList.add("alert-success");
-    playerMoney = playerMoney + thePot;
     setPlayerMoney("win");
     document.getElementById("playerMoney").classList.remove("hide");
-    document.querySelector("#playerMoney").innerHTML = playerMoney;
     return false;
 }
 
@@ -208,7 +184,7 @@ function youLose(topHand) {
     document.querySelector("[data-player='" + topHand + "']").classList.add("alert-success");
     document.getElementById("status").classList.remove("hide");
     messageElement.classList.remove("hide");
-    messageElement.innerHTML = "You lost $" + bet;
+    messageElement.innerHTML = "You lost $" + (table.state.bet - table.state.result.share);
     document.querySelector("[data-player='0']").classList.remove("alert-success");
     document.querySelector("[data-player='0']").classList.remove("alert-info");
     document.querySelector("[data-player='0']").classList.add("alert-danger");
@@ -222,817 +198,276 @@ function youLose(topHand) {
     document.querySelector("[data-round='match']").classList.add("hide");
     document.querySelector("[data-round='check']").classList.add("hide");
     document.querySelector("[data-round='raise']").classList.add("hide");
+    document.getElementById("betSizing").classList.add("hide");
     document.querySelector("button[title='Deal']").disabled = false;
     document.querySelector("button[title='Deal']").classList.remove("hide");
     return false;
 }
 
-function removeActivePlyr(plyrID) {
-    plyrID = Number(plyrID)
-    compareCards[plyrID] = -1;
-    resultList[plyrID] = -1;
-    let tempActivePlayer = [];
-    for (let i = 0; i < activePlayers.length; i++) {
-        if (activePlayers[i] !== plyrID) {
-            tempActivePlayer.push(activePlayers[i]);
-        }
-    }
-    activePlayers = tempActivePlayer;
-    if (activePlayers == 0) {
-        youWin("default");
-    }
-}
-
-function evaluateHand(iteration, gameStep) {
-    let stepPlayed = false;
-   
-   /* const communityCardDetailsElement = document.getElementById("communityCardDetails");
-    if (communityCardDetailsElement) {
-        communityCardDetailsElement.innerHTML = "The " + gameStepHierarchy[gameStep] + " - Pot: $" + thePot;
-    }
-
-    const raiseAmtElement = document.getElementById("raiseAmt");
-    if (raiseAmtElement) {
-        raiseAmtElement.innerHTML = "$" + (monetaryVal[gameIncrement + 1] * 2);
-    }
-
-    const maxButtonElement = document.querySelector("[data-round='max']");
-    if (maxButtonElement) {
-        maxButtonElement.innerHTML = "Max $" + (monetaryVal[gameIncrement + 1] * 3);
-    } */
-    
-    countingIterations = iteration;
-    let cardsInvolved = "";
-    let cardIndexes = [];
-    let cardsArr = [playersHands[iteration][0], playersHands[iteration][1]];
-    if (gameStep === 2) {
-        cardsArr = [playersHands[iteration][0], playersHands[iteration][1], communityCards[0], communityCards[1], communityCards[2]];
-    }
-    if (gameStep === 3) {
-        cardsArr = [playersHands[iteration][0], playersHands[iteration][1], communityCards[0], communityCards[1], communityCards[2], communityCards[3]];
-    }
-    if (gameStep === 4) {
-        cardsArr = [playersHands[iteration][0], playersHands[iteration][1], communityCards[0], communityCards[1], communityCards[2], communityCards[3], communityCards[4]];
-    }
-    let highCard;
-    let flush = false;
-    let straight = false;
-    let spades = 0;
-    let hearts = 0;
-    let diamonds = 0;
-    let clubs = 0;
-    let two = 0;
-    let three = 0;
-    let four = 0;
-    let five = 0;
-    let six = 0;
-    let seven = 0;
-    let eight = 0;
-    let nine = 0;
-    let ten = 0;
-    let jack = 0;
-    let queen = 0;
-    let king = 0;
-    let ace = 0;
-    for (let i = 0; i < cardsArr.length; i++) {
-        if (cardHeirarchy.indexOf(cardsArr[i].value) !== null) {
-            cardIndexes.push(cardHeirarchy.indexOf(cardsArr[i].value));
-        }
-        if (cardsArr[i].value === "ace") {
-            cardIndexes.push(-1);/*aces need representation for a straight ace to 4 concept. -1 will work because 2 is represented as 0. This is just used for determining a straight*/
-        }
-        if (cardsArr[i].value === "two") {
-            two = two + 1;
-        }
-        if (cardsArr[i].value === "three") {
-            three = three + 1;
-        }
-        if (cardsArr[i].value === "four") {
-            four = four + 1;
-        }
-        if (cardsArr[i].value === "five") {
-            five = five + 1;
-        }
-        if (cardsArr[i].value === "six") {
-            six = six + 1;
-        }
-        if (cardsArr[i].value === "seven") {
-            seven = seven + 1;
-        }
-        if (cardsArr[i].value === "eight") {
-            eight = eight + 1;
-        }
-        if (cardsArr[i].value === "nine") {
-            nine = nine + 1;
-        }
-        if (cardsArr[i].value === "ten") {
-            ten = ten + 1;
-        }
-        if (cardsArr[i].value === "jack") {
-            jack = jack + 1;
-        }
-        if (cardsArr[i].value === "queen") {
-            queen = queen + 1;
-        }
-        if (cardsArr[i].value === "king") {
-            king = king + 1;
-        }
-        if (cardsArr[i].value === "ace") {
-            ace = ace + 1;
-        }
-        if (cardsArr[i].suit === "spades") {  /*determine same suits*/
-            spades = spades + 1;
-        }
-        if (cardsArr[i].suit === "hearts") {
-            hearts = hearts + 1;
-        }
-        if (cardsArr[i].suit === "diamonds") {
-            diamonds = diamonds + 1;
-        }
-        if (cardsArr[i].suit === "clubs") {
-            clubs = clubs + 1;
-        }
-    }
-    let valueArr = [two, three, four, five, six, seven, eight, nine, ten, jack, queen, king, ace]; /*Determine matching values*/
-    let lastIteration = activePlayers[activePlayers.length - 1];
-    for (let i = 0; i < valueArr.length; i++) {
-        if (valueArr[i] > 0) {//determine highest card
-            highCard = cardHeirarchy[i];
-            if (gameStep === 1) {
-                playerHighCards[iteration] = i;
-            }
-            if (resultList[iteration] === 0) {
-                highCard = " - " + cardHeirarchy[valueArr.lastIndexOf(1)];
-                compareCards[iteration] = i;
-            }
-        }
-        if (valueArr[i] === 2) {//a pair           /*collect pair for later eval*/           
-            if (iteration === 0) { plyr1Pair.push(i) }
-            if (iteration === 1) { plyr2Pair.push(i) }
-            if (iteration === 2) { plyr3Pair.push(i) }
-            if (iteration === 3) { plyr4Pair.push(i) }/*end pair collection*/
-            if (resultList[iteration] < 1) {
-                resultList[iteration] = 1;
-                compareCards[iteration] = valueArr.lastIndexOf(2);
-            }
-            cardsInvolved = cardsInvolved + " - " + cardHeirarchy[i] + "s";
-        }
-        if (valueArr[i] === 3) {//three of a kind
-            if (resultList[iteration] < 3) {
-                resultList[iteration] = 3;
-                compareCards[iteration] = valueArr.lastIndexOf(3);
-                cardsInvolved = cardsInvolved + " - " + cardHeirarchy[valueArr.lastIndexOf(3)] + "s";
-            }
-        }
-        if (valueArr[i] === 4) {
-            if (resultList[iteration] < 7) {
-                resultList[iteration] = 7;
-                compareCards[iteration] = valueArr.lastIndexOf(4);
-                cardsInvolved = cardsInvolved + " - " + cardHeirarchy[valueArr.lastIndexOf(4)] + "s";
-            }
-        }
-    }
-    if (getOccurrence(valueArr, 2) > 1) {//2 pair - if the number 2 occurs more than once
-        if (resultList[iteration] < 2) {
-            resultList[iteration] = 2;
-            compareCards[iteration] = valueArr.lastIndexOf(2);
-        }
-    }/*LOOKING FOR A STRAIGHT*/
-    cardIndexes = cardIndexes.sort(((a, b) => a - b));
-    let connectedTwo = false;
-    let connectedThree = false;
-    let connectedFour = false;
-    for (var i = 0; i < cardIndexes.length; i++) {
-        if (cardIndexes[i + 1] === cardIndexes[i] + 1) {
-            connectedTwo = true;
-        }
-        if (cardIndexes[i + 1] === cardIndexes[i] + 1 && cardIndexes[i + 2] === cardIndexes[i] + 2) {
-            connectedThree = true;
-        }
-        if (cardIndexes[i + 1] === cardIndexes[i] + 1 && cardIndexes[i + 2] === cardIndexes[i] + 2 && cardIndexes[i + 3] === cardIndexes[i] + 3) {
-            connectedFour = true;
-        }
-        if (cardIndexes[i + 1] === cardIndexes[i] + 1 && cardIndexes[i + 2] === cardIndexes[i] + 2 && cardIndexes[i + 3] === cardIndexes[i] + 3 && cardIndexes[i + 4] === cardIndexes[i] + 4) {
-            straight = true;
-            if (cardIndexes[i + 4] > playerStraightHighCard[iteration]) {
-                playerStraightHighCard[iteration] = cardIndexes[i + 4];
-            }
-
-            if (resultList[iteration] < 4) {
-                resultList[iteration] = 4;
-                communityCards[iteration] = cardIndexes[i + 4];
-            }
-        }
-    }
-    for (let i = -1; i < 13; i++) {/*ATTEMPT TO FIX PAIRS OVERRIDING STRAIGHT*/
-        if (valueArr[i] > 0 && valueArr[i + 1] > 0 && valueArr[i + 2] > 0 && valueArr[i + 3] > 0 && valueArr[i + 4] > 0) {
-            resultList[iteration] = 4;
-            communityCards[iteration] = valueArr[i + 4];
-            straight = true;
-        }
-    }/*END ATTEMPT*/
-    if (resultList[iteration] < 4 && straight === true) {//declared earlier as well
-        resultList[iteration] = 4;
-    }
-    let suitedArr = [spades, hearts, diamonds, clubs];
-    if (suitedArr.indexOf(5) !== -1) {    /*DETERMINE A flush*/
-        flush = true;
-        if (resultList[iteration] < 5) {
-            resultList[iteration] = 5;
-        }
-    }
-    if (valueArr.indexOf(3) !== -1 && valueArr.indexOf(2) !== -1) {    /*checking for full house*/
-        if (resultList[iteration] < 6) {
-            resultList[iteration] = 6;
-            communityCards[iteration] = valueArr.lastIndexOf(3);
-            cardsInvolved = cardHeirarchy[valueArr.lastIndexOf(2)] + "s - " + cardHeirarchy[valueArr.lastIndexOf(3)] + "s";
-        }
-    }
-    if (flush === true && straight === true) {/*checking for straight flush*/
-        if (resultList[iteration] < 8) {
-            resultList[iteration] = 8;
-        }
-    }
-    if (valueArr[8] > 0 && valueArr[9] > 0 && valueArr[10] > 0 && valueArr[11] > 0 && valueArr[12] > 0 && flush === true) {  /*checking for royal flush (valueArr[valueArr.length - 1] is an ace)*/
-        if (resultList[iteration] < 9) {
-            resultList[iteration] = 9;
-        }
-    }
-    for (let i = 0; i < 4; i++) {
-        if (activePlayers.indexOf(i) === -1) {
-            resultList[i] = -1;
-            compareCards[i] = -1;
-        }
-    }
-    document.getElementById(playersDetails[iteration]).classList.remove("hide");
-    let HighCardMessage = "";
-    if (resultList[iteration] === 0) {
-        compareCards[iteration] = valueArr.lastIndexOf(1);
-        HighCardMessage = " - " + cardHeirarchy[valueArr.lastIndexOf(1)];
-    }
-    if (iteration === 0) {
-        document.getElementById(playersDetails[iteration]).innerHTML = "You have: " + handHeirarchy[resultList[iteration]] + "  " + cardsInvolved + HighCardMessage;
-        document.querySelector("#" + playersDetails[iteration]).innerHTML = "You have: " + handHeirarchy[resultList[iteration]] + "  " + cardsInvolved + HighCardMessage;/*browser bug fix*/
-    }
-    if (iteration !== 0 && gameStep === 4 && activePlayers.indexOf[iteration] !== -1) {
-        document.getElementById(playersDetails[iteration]).innerHTML = plyr + "Player " + (iteration + 1) + ": " + handHeirarchy[resultList[iteration]] + "  " + cardsInvolved + HighCardMessage;
-        document.querySelector("#" + playersDetails[iteration]).innerHTML = plyr + "Player " + (iteration + 1) + ": " + handHeirarchy[resultList[iteration]] + "  " + cardsInvolved + HighCardMessage;        /*browser bug fix*/
-    }
-
-
-    //START BEST WHOLE CARDS
-    if (gameStep === 1) {
-        //bestHoleCards.push()
-        let tempObj = []
-        for (let i = 0; i < valueArr.length; i++) {
-            if (valueArr[i] !== 0) {
-                tempObj.push(i);
-                if (valueArr[i] > 1) {
-                    tempObj.push(i);
-                }
-            }
-        }
-        let placeHdlr0 = tempObj[0];
-        let placeHdlr1 = tempObj[1];
-        if (tempObj[1] < tempObj[0]) {
-            tempObj[0] = placeHdlr1;
-            tempObj[1] = placeHdlr0;
-        }
-        // tempObj = tempObj.reverse();
-        //  tempObj = tempObj.sort();
-        bestHoleCards.push(tempObj);
-
-
-
-    }
-
-    //END BEST WHOLE CARDS
-
-    if (gameStep === 4 && iteration === lastIteration) {
-
-
-
-
-
-
-
-
-        if (getOccurrence(valueArr, 2) > 2) {/*player cannot have 3 pair. Get rid of lowest pair here*/
-            for (let i = 0; i < valueArr.length; i++) {
-                if (valueArr[i] === 2 && getOccurrence(valueArr, 2) > 2) {
-                    valueArr[i] = -2;
-                }
-            }
-        }
-        let winningHand = Math.max(...resultList);
-        let winningCard;
-        if (getOccurrence(resultList, winningHand) === 1) {
-            topHand = resultList.indexOf(winningHand);
-        } else {
-            for (let i = 0; i < resultList.length; i++) {
-                if (resultList[i] !== winningHand) {
-                    compareCards[i] = -1;
-                    bestHoleCards[i][0] = -1;
-                    bestHoleCards[i][1] = -1;
-
-                }
-
-            }
-
-            winningCard = Math.max(...compareCards);
-            topHand = compareCards.indexOf(winningCard);
-            if (getOccurrence(compareCards, winningCard) > 1) {
-                if (winningHand === 4) {/*determine who has the highest straight */
-                    topHand = Math.max(...playerStraightHighCard);
-                    if (getOccurrence(playerStraightHighCard, topHand) > 1 && playerStraightHighCard[0] === topHand) {
-                        youWin("split");
-                        showPlayersCards();
-                        return false;
-                    }
-
-                }
-                if (winningHand === 2) {              /* If the 2 winning players have two pair, who has the best 2 pair?*/
-                    let allPairs = [...plyr1Pair, ...plyr2Pair, ...plyr3Pair, ...plyr4Pair];
-                    let highestPair = Math.max(...allPairs);
-                    const playersWithPair = [plyr1Pair, plyr2Pair, plyr3Pair, plyr4Pair];//take out player without high pair
-                    for (let i = 0; i < 4; i++) {
-                        if (playersWithPair[i].indexOf(highestPair) === -1) {
-                            compareCards[i] = -1;
-                            resultList[i] = -1;
-                            playersWithPair[i] = [];
-                        }
-                    }
-                    for (let i = 0; i < allPairs.length; i++) {
-                        if (allPairs[i] === highestPair) {
-                            allPairs[i] = -1;
-                        }
-                    }
-                    let secondHighestPair = Math.max(...allPairs);
-                    for (let i = 0; i < 4; i++) {
-                        if (playersWithPair[i].indexOf(secondHighestPair) === -1) {
-                            compareCards[i] = -1;
-                            resultList[i] = -1;
-                            playersWithPair[i] = [-1];
-                        }
-                    }
-
-                }   /*end*/
-
-                let winnersList = [];
-                for (let i = 0; i < 4; i++) {
-                    if (compareCards[i] !== -1) {
-                        let tempPlayerCards = [cardHeirarchy.indexOf(playersHands[i][0].value), cardHeirarchy.indexOf(playersHands[i][1].value)];
-                        let tempWinner = Math.max(...tempPlayerCards);
-                        winnersList.push(tempWinner);
-                    } else {
-                        winnersList.push(-1);
-                    }
-                }
-                multiWinMax = Math.max(...winnersList);
-                topHand = winnersList.indexOf(multiWinMax);
-
-
-                if (getOccurrence(winnersList, multiWinMax) > 1) {
-
-
-                    let hiHole = 0;
-                    let lowHole = 0;
-                    for (let i = 0; i < bestHoleCards.length; i++) {
-
-                        if (bestHoleCards[i].indexOf(multiWinMax) === -1) {
-                            bestHoleCards[i][0] = -1;
-                            bestHoleCards[i][1] = -1;
-
-                        }
-
-                        if (bestHoleCards[i][1] > hiHole) {
-                            hiHole = bestHoleCards[i][1];
-                            topHand = i;
-
-                        }
-                        if (bestHoleCards[i][1] === hiHole) {
-
-                            if (bestHoleCards[i][0] > lowHole) {
-                                lowHole = bestHoleCards[i][0];
-                                topHand = i;
-
-                            }
-                            if (bestHoleCards[i][1] === hiHole && bestHoleCards[i][0] === lowHole && bestHoleCards[0][0] !== -1) {
-                                youWin("split");
-                                showPlayersCards();
-                                return false;
-
-                            }
-                        }
-
-
-                    }
-
-
-
-                }
-                /*    if (getOccurrence(winnersList, multiWinMax) > 1 && compareCards[0] === multiWinMax) {
-                        youWin("split");
-                        showPlayersCards();
-                        return false;
-                    }*/
-            }
-        }
-    }
-    let highCardCount = 0;  /*FIRST ROUND*/
-    for (let i = 0; i < valueArr.length; i++) {
-        if (i > 7 && valueArr[i] > 0) {
-            highCardCount = highCardCount + 1;
-        }
-    }
-    let firstRoundSuited = false;
-    let threeSuited = false;
-    let fourSuited = false;
-    for (let i = 0; i < suitedArr.length; i++) {/*determine if the first round has match suit*/
-        if (suitedArr[i] > 1) {
-            firstRoundSuited = true;
-        }
-        if (suitedArr[i] > 2) {
-            threeSuited = true;
-        }
-        if (suitedArr[i] > 3) {
-            fourSuited = true;
-        }
-    }
-
-
-    ///let cardsArr = [playersHands[iteration][0], playersHands[iteration][1]];
-
-    /*END OF HAND EVALUATION */
-    if (stepPlayed === false && activePlayers.indexOf(iteration) !== -1) {
-        if (gameStep === 1 && iteration !== 0) {
-            if (resultList[iteration] >= 1 || connectedTwo === true || highCardCount > 0 || firstRoundSuited === true || valueArr[12] > 0) {
-                document.querySelector("[data-player='" + iteration + "']").innerHTML = plyr + "Player " + (iteration + 1) + ": bets $" + monetaryVal[gameStep + 1];
-                document.querySelector("[data-player='" + iteration + "']").dataset.status = "betting";
-            } else {
-                document.querySelector("[data-player='" + iteration + "']").innerHTML = plyr + "Player " + (iteration + 1) + ": checks.";
-                document.querySelector("[data-player='" + iteration + "']").dataset.status = "checking";
-            }
-            if (iteration == lastIteration) {
-                if (document.querySelector("[data-status='betting']") !== null) {
-                    [].forEach.call(document.querySelectorAll("[data-status='checking']"), function (e) {
-                        let whichPlayer = Number(e.getAttribute("data-player"));
-                        removeActivePlyr(whichPlayer);
-                        e.innerHTML = plyr + " Player " + (whichPlayer + 1) + ": folded.";
-                        e.dataset.status = "folded";
-                    });
-                    document.querySelector("[data-round='max']").classList.remove("hide");
-                    document.querySelector("[data-round='match']").classList.remove("hide");
-                    document.querySelector("[data-round='raise']").classList.remove("hide");
-                    document.querySelector("[data-round='check']").classList.add("hide");
-                } else {
-                    document.querySelector("[data-round='max']").classList.add("hide");
-                    document.querySelector("[data-round='match']").classList.add("hide");
-                    document.getElementById("foldBt").classList.add("hide");
-                    document.querySelector("[data-round='raise']").classList.add("hide");
-                    document.querySelector("[data-round='check']").classList.remove("hide");
-                }
-                document.querySelector("[data-round='max']").disabled = false;
-                document.querySelector("[data-round='match']").disabled = false;
-                document.querySelector("[data-round='check']").disabled = false;
-                stepPlayed = true;
-                return false;
-            }
-        }
-        if (resultList[iteration] >= 3 && iteration !== 0) {
-            dblBets = true;
-        }
-        if (gameStep === 2 || gameStep === 3) {
-            if (gameStep === 2 && iteration !== 0) {
-                if (connectedThree === true || highCardCount > 1 || firstRoundSuited === true || resultList[iteration] >= 1) {
-                    document.querySelector("[data-player='" + iteration + "']").innerHTML = plyr + " Player " + (iteration + 1) + ": bets $" + monetaryVal[gameStep + 1];
-                    document.querySelector("[data-player='" + iteration + "']").dataset.status = "betting";
-                } else {
-                    document.querySelector("[data-player='" + iteration + "']").innerHTML = plyr + " Player " + (iteration + 1) + ": checks.";
-                    document.querySelector("[data-player='" + iteration + "']").dataset.status = "checking";
-                }
-            }
-            if (gameStep === 3 && iteration !== 0) {
-                if (connectedThree === true || connectedFour > 1 || threeSuited === true || fourSuited === true || resultList[iteration] >= 1) {
-                    document.querySelector("[data-player='" + iteration + "']").innerHTML = plyr + "Player " + (iteration + 1) + ": bets $" + monetaryVal[gameStep + 1];
-                    document.querySelector("[data-player='" + iteration + "']").dataset.status = "betting";
-                } else {
-                    document.querySelector("[data-player='" + iteration + "']").innerHTML = plyr + "Player " + (iteration + 1) + ": checks.";
-                    document.querySelector("[data-player='" + iteration + "']").dataset.status = "checking";
-                }
-                /*START FOLD BASED ON MAX BET*/
-                if (maxBetHit === true && iteration !== 0) {
-                    if (connectedThree === false && resultList[iteration] <= 2 && fourSuited === false) {
-                        document.querySelector("[data-player='" + iteration + "']").innerHTML = plyr + " Player " + (iteration + 1) + ": checks.";
-                        document.querySelector("[data-player='" + iteration + "']").dataset.status = "checking";
-                    }
-                }
-            }/*broke up conditionals to help the javascript process*/
-            if (iteration === lastIteration && iteration !== 0) {
-                if (document.querySelector("[data-status='betting']") !== null) {
-                    [].forEach.call(document.querySelectorAll("[data-status='checking']"), function (e) {
-                        let whichPlayer = e.getAttribute("data-player");
-                        removeActivePlyr(whichPlayer);
-                        e.innerHTML = "Player " + (Number(whichPlayer) + 1) + ": folded.";
-                        e.dataset.status = "folded";
-                    });
-                    [].forEach.call(document.querySelectorAll("[data-status='betting']"), function (e) {
-                        let whichPlayer = e.getAttribute("data-player");
-                        e.innerHTML = plyr + "Player " + (Number(whichPlayer) + 1) + ": bets $" + monetaryVal[gameStep + 1];
-                    });
-                    document.getElementById("foldBt").classList.remove("hide");
-                    document.querySelector("[data-round='max']").classList.remove("hide");
-                    document.querySelector("[data-round='match']").classList.remove("hide");
-                    document.querySelector("[data-round='raise']").classList.remove("hide");
-                    document.querySelector("[data-round='check']").classList.add("hide");
-                } else {
-                    document.querySelector("[data-round='max']").classList.add("hide");
-                    document.querySelector("[data-round='match']").classList.add("hide");
-                    document.querySelector("[data-round='raise']").classList.add("hide");
-                    document.getElementById("foldBt").classList.add("hide");
-                    document.querySelector("[data-round='check']").classList.remove("hide");
-                }
-                document.querySelector("[data-round='max']").disabled = false;
-                document.querySelector("[data-round='match']").disabled = false;
-                document.querySelector("[data-round='check']").disabled = false;
-                stepPlayed = true;
-                return false;
-            }
-        }
-        if (gameStep === 4 && iteration === lastIteration) {
-            document.getElementById("foldBt").disabled = true;
-            messageElement.classList.remove("hide");
-            if (topHand === 0) {
-                youWin("default");
-            } else {
-                youLose(topHand);
-            }
-            showPlayersCards();
-            document.getElementById("foldBt").classList.add("hide");
-            document.querySelector("[data-round='max']").classList.add("hide");
-            document.querySelector("[data-round='match']").classList.add("hide");
-            document.querySelector("[data-round='raise']").classList.add("hide");
-            document.querySelector("[data-round='check']").classList.add("hide");
-            document.querySelector("button[title='Deal']").disabled = false;
-            document.querySelector("button[title='Deal']").classList.remove("hide");
-            document.querySelector("[data-round='max']").disabled = false;
-            document.querySelector("[data-round='match']").disabled = false;
-            document.querySelector("[data-round='check']").disabled = false;
-            stepPlayed = true;
-            return false;
-        }
-    }
-}
-
-function calculateHandStrength(hand) {
-    // Mapping cards for evaluation
-    const values = hand.map(card => cardHeirarchy.indexOf(card.value));
-    const suits = hand.map(card => card.suit);
-
-    const valueCounts = {};
-    values.forEach(value => {
-        valueCounts[value] = (valueCounts[value] || 0) + 1;
-    });
-
-    // Same cards max
-    const counts = Object.values(valueCounts);
-    const maxCount = Math.max(...counts);
-
-    // Straight verify
-    const isStraight = values
-        .sort((a, b) => a - b)
-        .every((val, index, arr) => index === 0 || val === arr[index - 1] + 1);
-
-    // Flush verify
-    const isFlush = suits.every(suit => suit === suits[0]);
-
-    if (isStraight && isFlush) return 8; 
-    if (maxCount === 4) return 7; 
-    if (maxCount === 3 && counts.includes(2)) return 6; 
-    if (isFlush) return 5; 
-    if (isStraight) return 4; 
-    if (maxCount === 3) return 3; 
-    if (counts.filter(count => count === 2).length === 2) return 2; 
-    if (maxCount === 2) return 1; 
-    return 0; 
-}
-
 function endGame() {
     // Disable buttons
     document.querySelector("[data-round='max']").disabled = true;
     document.querySelector("[data-round='raise']").disabled = true;
+    document.getElementById("betSizing").classList.add("hide");
     document.querySelector("[data-round='match']").disabled = true;
     document.querySelector("[data-round='check']").disabled = true;
     document.getElementById("foldBt").disabled = true;
 }
 
-function deal() {
-    resetPlayerMoney();
-    hasRaised = false;
-
-    for (let i = 0; i < playerIds.length; i++) {
-        const playerElement = document.getElementById(playerIds[i]);
-        if (playerElement) { 
-            playerElement.innerHTML = "";
-        }
-    }
-
-    communityCardsHTML = "";
-
-    let baseBet = 50; // min start bet
-    let betIncrement = playedTimes * 10; 
-    maxBet = [
-        baseBet + betIncrement, 
-        baseBet * 2 + betIncrement, 
-        baseBet * 3 + betIncrement
-    ];
-
-    // Dynamic bets 
-    bet1 = Math.floor(Math.random() * (maxBet[0] - 10 + 1) + 10);
-    bet2 = Math.floor(Math.random() * (maxBet[1] - maxBet[0] + 1) + maxBet[0]);
-    bet3 = Math.floor(Math.random() * (maxBet[2] - maxBet[1] + 1) + maxBet[1]);
-
-    monetaryVal = [null, 10, bet1, bet2, bet3];
-    updatedBets = false;
-    maxBetHit = false;
-    dblBets = false;
-    plyr1Pair = [];
-    plyr2Pair = [];
-    plyr3Pair = [];
-    plyr4Pair = [];
-    usedCardsArr = [];
-    playedTimes += 1;
-    gameIncrement = 1;
-    communityCards = [];
-    resultList = [0, 0, 0, 0];
-    compareCards = [0, 0, 0, 0];
-    activePlayers = [0, 1, 2, 3];
-    playerHighCards = [0, 0, 0, 0];
-    playerStraightHighCard = [0, 0, 0, 0];
-    bestHoleCards = [];
-    topHand = null;
-    document.getElementById("communityCards").innerHTML = "";
-    document.getElementById("communityCardDetails").classList.add("hide");
+// Snapshot of the hero's situation used by the CFR recommendations
+function getCurrentState() {
+    const state = table.state;
+    const legal = table.getLegalActions();
+    const seatCount = state.seats.length;
+    /*the hero is in late position when everybody still in the hand acts before them*/
+    const offset = seat => (seat - state.button - 1 + seatCount) % seatCount;
+    return {
+        playerHand: state.seats.length > 0 ? state.seats[0].holeCards : [], // Principal player hand
+        communityCards: state.communityCards,
+        pot: state.pot, // Pot size
+        currentBet: state.bet, // Hero bet so far
+        activePlayers: state.activePlayers.length, // Active players
+        cardsDealt: state.communityCards.length + state.seats[0].holeCards.length, // Number of cards dealt
+        street: state.gameStep,
+        toCall: legal ? legal.toCall : 0,
+        stack: state.playerMoney,
+        bigBlind: state.bigBlind,
+        position: state.activePlayers.every(seat => offset(seat) <= offset(0)) ? "late" : "early",
+        opponentRanges: opponentModel.liveRanges() // Likely hands of the opponents still in, from the reads
+    };
+}
 
-    [].forEach.call(document.querySelectorAll(".alert[data-player]"), function (e) {
-        if (e) { 
-            e.classList.remove("alert-danger");
-            e.classList.add("alert-info");
-            e.classList.remove("hide");
-            e.classList.remove("alert-success");
-            e.dataset.status = "ready";
-        }
+window.getCurrentState = getCurrentState;
+
+let currentEquity = null;
+let equityWaiting = null; /*{ key, callbacks } of the equity being worked out*/
+
+// Hero's equity against the opponents still in the hand. It is sampled off the page (see
+// evaluateEquity() in CFR.js) only when the cards or the opponents change. onReady(equity)
+// is called once it is known, and not at all when the hand moved on before that
+function showEquity(onReady) {
+    const state = table.state;
+    const opponents = state.activePlayers.filter(seat => seat !== 0).length;
+    const ranges = opponentModel.liveRanges();
+    const key = state.seats[0].holeCards.concat(state.communityCards).map(cardTitle).join() + "|" + ranges.map(range => range.minStrength).join();
+    const equityElement = document.getElementById("equity");
+    const dealtFrom = state.variant === "omaha" ? "any hands" : "read ranges"; /*the reads only narrow two-card hands*/
+    const heading = `<strong>Equity vs ${opponents} opponent${opponents === 1 ? "" : "s"} (${dealtFrom}):</strong> `;
+    equityElement.classList.remove("hide");
+    if (currentEquity && currentEquity.key === key) {
+        equityElement.innerHTML = heading + describeEquity(currentEquity);
+        if (onReady) onReady(currentEquity);
+        return;
+    }
+    equityElement.innerHTML = heading + "working it out...";
+    if (equityWaiting && equityWaiting.key === key) {
+        if (onReady) equityWaiting.callbacks.push(onReady);
+        return;
+    }
+    const waiting = { key: key, callbacks: onReady ? [onReady] : [] };
+    equityWaiting = waiting;
+    cfrSolver.evaluateEquity(state.seats[0].holeCards, state.communityCards, opponents, ranges, equity => {
+        if (equityWaiting !== waiting) return; /*the cards changed while it was worked out*/
+        equityWaiting = null;
+        currentEquity = Object.assign(equity, { key: key });
+        equityElement.innerHTML = heading + describeEquity(currentEquity);
+        waiting.callbacks.forEach(callback => callback(currentEquity));
     });
+}
 
-    const statusElement = document.getElementById("status");
-    if (statusElement) {
-        statusElement.classList.add("hide");
-    }
+const cfrSolver = createCFRSolver("Javacript/CFRWorker.js");
 
-    const notificationElement = document.getElementById("notification");
-    if (notificationElement) {
-        notificationElement.classList.remove("alert-success");
-        notificationElement.classList.remove("alert-danger");
-        notificationElement.classList.add("alert-info");
-    }
+// Iteration and time budget for the AI, from the inputs in the recommendations panel
+function trainingBudget() {
+    const iterations = Number(document.getElementById("cfrIterations").value);
+    const seconds = Number(document.getElementById("cfrSeconds").value);
+    return {
+        iterations: iterations > 0 ? iterations : defaultTrainingBudget.iterations,
+        timeBudget: seconds > 0 ? seconds * 1000 : defaultTrainingBudget.timeBudget
+    };
+}
 
-    const messageElement = document.getElementById("message");
-    if (messageElement) {
-        messageElement.innerHTML = "";
-    }
+function saveTrainingBudget() {
+    profileStorage.setItem("cfrBudget", JSON.stringify(trainingBudget()));
+}
 
-    thePot = 40;
-    bet = monetaryVal[1];
-    playerMoney -= bet;
-    setPlayerMoney("betting");
+function loadTrainingBudget() {
+    const budget = Object.assign({}, defaultTrainingBudget, JSON.parse(profileStorage.getItem("cfrBudget") || "{}"));
+    document.getElementById("cfrIterations").value = budget.iterations;
+    document.getElementById("cfrSeconds").value = budget.timeBudget / 1000;
+}
 
-    // Update pot and bets
-    document.getElementById("communityCardDetails").innerHTML = "The Pot $" + thePot;
+let lastAdvice = null; /*what the panel recommended for the hero's current decision, kept in the hand history*/
+let decisionSituation = null; /*the hero's spot the AI is working on, graded in training mode*/
+
+// Train on the hero's spot in the background; the panel fills in as training goes
+function showRecommendations() {
+    lastAdvice = null;
+    const currentState = getCurrentState();
+    showEquity(equity => { currentState.equity = equity; });
+    if (table.state.variant === "omaha") {
+        /*the strategy is learned on Hold'em spots, Omaha gets the equity and the pot odds*/
+        decisionSituation = null;
+        document.getElementById("top-moves").innerHTML = "<small>UrtziAI plays Hold'em only. In Omaha it shows the equity against the hands still in, the outs and whether calling pays.</small><br>" + readsHTML();
+        return;
+    }
+    const situation = Object.assign({}, currentState, { equity: null });
+    decisionSituation = situation;
+    document.getElementById("top-moves").innerHTML = "UrtziAI is thinking...";
+    document.getElementById("cfrStop").disabled = false;
+    cfrSolver.start(situation, trainingBudget(), progress => {
+        renderRecommendations(currentState, progress, false);
+    }, result => {
+        document.getElementById("cfrStop").disabled = true;
+        renderRecommendations(currentState, result, true);
+        persistModel();
+    });
+}
 
-    const betTargetElement = document.getElementById("betTarget");
-    if (betTargetElement) {
-        betTargetElement.innerHTML = "Bet $" + monetaryVal[1];
-    }
+// Hand the browser a file to save
+function downloadFile(fileName, text, type) {
+    const blob = new Blob([text], { type: type });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
 
-    const playerMoneyElement = document.querySelector("#playerMoney");
-    if (playerMoneyElement) {
-        playerMoneyElement.innerHTML = playerMoney;
-    }
+let modelMode = localStorage.getItem("cfrModelMode") || "learning"; /*"learning" or "blueprint", the same for every profile*/
 
-    clear("deal");
-    countingIterations = 0;
+function showModelStatus(model) {
+    const iterations = model ? model.iterations : 0;
+    document.getElementById("modelStatus").innerHTML = modelMode === "blueprint"
+        ? `Blueprint v${cfrModelVersion}, read-only (${iterations} iterations)`
+        : `Model v${cfrModelVersion}, learning (${iterations} iterations)`;
+    document.getElementById("ownModelBt").classList.toggle("hide", modelMode !== "blueprint");
+}
 
-    const foldButton = document.getElementById("foldBt");
-    if (foldButton) {
-        foldButton.classList.remove("hide");
-        foldButton.disabled = false;
-    }
+// Model the recommendations come from, as saved last time
+function loadModel() {
+    const mode = modelMode;
+    loadSavedModel(mode === "blueprint" ? "blueprint" : "model").then(model => {
+        if (mode !== modelMode) return; /*another model was loaded meanwhile*/
+        if (model && !modelProblem(model)) {
+            cfrSolver.loadModel(model, modelMode === "blueprint");
+            setRewardRanges(model);
+            showModelStatus(model);
+        } else {
+            modelMode = "learning";
+            showModelStatus(null);
+        }
+    }).catch(() => showModelStatus(null));
+}
 
-    document.querySelector("[data-round='max']").classList.remove("hide");
-    document.querySelector("[data-round='max']").disabled = false;
+// Save what the AI learned after every finished training, the page's reward ranges included
+function persistModel() {
+    if (modelMode === "blueprint") return;
+    cfrSolver.getModel(model => {
+        Object.assign(model, rewardRanges());
+        showModelStatus(model);
+        saveModel("model", model).catch(error => console.error("Could not save the AI model", error));
+    });
+}
 
-    document.querySelector("[data-round='raise']").classList.remove("hide");
-    document.querySelector("[data-round='raise']").disabled = false;
+function exportModelFile() {
+    cfrSolver.getModel(model => downloadModel(Object.assign(model, rewardRanges())));
+    return false;
+}
 
-    document.querySelector("[data-round='check']").classList.remove("hide");
-    document.querySelector("[data-round='check']").disabled = false;
+// Load a model file, to keep training it or as a read-only blueprint
+function importModelFile(input, asBlueprint) {
+    const file = input.files[0];
+    input.value = "";
+    if (!file) return false;
+    readModelFile(file).then(model => {
+        const problem = modelProblem(model);
+        if (problem) {
+            alert(problem);
+            return;
+        }
+        stopThinking();
+        model.blueprint = asBlueprint;
+        cfrSolver.loadModel(model, asBlueprint);
+        setRewardRanges(model);
+        modelMode = asBlueprint ? "blueprint" : "learning";
+        storeItem("cfrModelMode", modelMode);
+        showModelStatus(model);
+        return saveModel(asBlueprint ? "blueprint" : "model", model);
+    }).catch(() => alert("Could not read the model file."));
+    return false;
+}
 
-    document.querySelector("button[title='Deal']").disabled = true;
-    document.querySelector("button[title='Deal']").classList.add("hide");
-    
-    cards = JSON.parse(localStorage.getItem("completeCards"));
-
-    function generatePlayer(iteration) {
-        cardsInvolved = "";
-        let playersCards = [];
-        let playerCardsHTML = "";
-        while (playersCards.length < 2) {
-            let genNumber = generate(activeCards);
-            if (usedCardsArr.indexOf(activeCards[genNumber].title) === -1) {
-                if (iteration === 0) {
-                    playerCardsHTML += `<div class='card ${activeCards[genNumber].title}' ></div>`;
-                } else {
-                    playerCardsHTML += `<div class='card hiddenDealerCard desktopOnly' ></div>`;
-                }
-                playersCards.push(cards[genNumber].title);
-                usedCardsArr.push(cards[genNumber].title);
-            }
-        }
-        let handObj = [];
-        for (let i = 0; i < playersCards.length; i++) {
-            handObj.push({
-                suit: playersCards[i].substring(playersCards[i].indexOf("-") + 1, playersCards[i].length),
-                value: playersCards[i].substring(0, playersCards[i].indexOf("-"))
-            });
-        }
-        const playerElement = document.getElementById(playerIds[iteration]);
-        if (playerElement) { 
-            playerElement.innerHTML = playerCardsHTML;
-        }
-        playersHands[iteration] = handObj;
-        evaluateHand(iteration, 1);
-        return false;
-    }
+// Leave the blueprint and go back to the model trained here
+function useOwnModel() {
+    stopThinking();
+    modelMode = "learning";
+    storeItem("cfrModelMode", modelMode);
+    setRewardRanges(null);
+    cfrSolver.clearModel(() => loadModel());
+    return false;
+}
 
-    let playerScores = [];
-    for (let i = 0; i < 4; i++) {
-        generatePlayer(i);
-        let playerScore = calculateHandStrength(playersHands[i]);
-        playerScores.push(playerScore);
-    }
+function resetAIModel() {
+    if (!confirm("Forget everything the AI has learned?")) return false;
+    stopThinking();
+    cfrSolver.clearModel();
+    setRewardRanges(null);
+    modelMode = "learning";
+    storeItem("cfrModelMode", modelMode);
+    showModelStatus(null);
+    deleteSavedModel("model").catch(error => console.error("Could not delete the AI model", error));
+    return false;
+}
 
-     // CFR algorithm
-    // Prepare the current state
-    const currentState = {
-        playerHand: playersHands[0], // Principal player hand
-        pot: thePot, // Pot size
-        currentBet: bet, // Initial bet
-        activePlayers: activePlayers.length, // Active players
-        cardsDealt: communityCards.length + playersHands[0].length // Number of cards dealt
-    };
+// Stop the AI, keeping what it worked out so far on the panel
+function stopThinking() {
+    cfrSolver.cancel();
+    document.getElementById("cfrStop").disabled = true;
+    return false;
+}
 
-    // Expose currentState and getCurrentState globally
-    window.currentState = currentState;
-    window.getCurrentState = function() {
-        return window.currentState;
+function renderRecommendations(currentState, training, finished) {
+    const recommendation = training.recommendation;
+    if (!recommendation) return;
+    lastAdvice = {
+        action: recommendation.action,
+        probability: recommendation.strategy[recommendation.action],
+        key: recommendation.key,
+        iterations: training.iterations,
+        equity: currentState.equity ? currentState.equity.equity : undefined
     };
 
-    // Train the CFR algorithm
-    for (let i = 0; i < 10000; i++) {
-        playRound();
-    }
-
-    // Get the current strategy
-    let strategy = getStrategy();
-
-    // Possible actions
-    const possibleActions = ['check', 'match', 'raise', 'allin'];
-
     // Calculate estimated rewards and probabilities
-    const actionData = possibleActions.map(action => {
+    const actionData = cfrActions.filter(action => recommendation.strategy[action] !== undefined).map(action => {
         const reward = calculateReward(currentState, action);
-        const probability = strategy[action] || 0;
+        const probability = recommendation.strategy[action];
         return { action, reward, probability };
     });
 
-    // Sort actions based on estimated rewards (descending)
-    actionData.sort((a, b) => b.reward - a.reward);
+    // Sort actions based on how often the strategy plays them (descending)
+    actionData.sort((a, b) => b.probability - a.probability);
 
     // Retrieve the global min and max rewards
     const minRewards = getMinRewards();
     const maxRewards = getMaxRewards();
 
     // Calculate overall reward range across all actions
-    const allRewards = Object.values(minRewards).concat(Object.values(maxRewards));
-    const globalMinReward = Math.min(...allRewards);
-    const globalMaxReward = Math.max(...allRewards);
+    const allRewards = Object.values(minRewards).concat(Object.values(maxRewards)).filter(isFinite);
+    const globalMinReward = allRewards.length > 0 ? Math.min(...allRewards) : 0;
+    const globalMaxReward = allRewards.length > 0 ? Math.max(...allRewards) : 0;
 
     // Prepare recommendations HTML
-    let recommendationsHTML = `<strong>Estimated Reward Range:</strong> ${globalMinReward.toFixed(2)} to ${globalMaxReward.toFixed(2)}<br><br>`;
+    let recommendationsHTML = `<strong>Recommendation:</strong> ${recommendation.action.toUpperCase()} (${(recommendation.strategy[recommendation.action] * 100).toFixed(2)}%)<br>`;
+    recommendationsHTML += `<small>Information set ${recommendation.key} - ${training.iterations} iterations${finished ? "" : ", still thinking..."}</small><br>`;
+    recommendationsHTML += `<strong>Estimated Reward Range:</strong> ${globalMinReward.toFixed(2)} to ${globalMaxReward.toFixed(2)}<br>`;
+    recommendationsHTML += readsHTML() + "<br>";
     recommendationsHTML += "<strong>Action Recommendations:</strong><br>";
 
     actionData.forEach((actionObj, index) => {
-        recommendationsHTML += `${index + 1}. ${actionObj.action.toUpperCase()} - Estimated Reward: ${actionObj.reward.toFixed(2)}<br>`;
+        recommendationsHTML += `${index + 1}. ${actionObj.action.toUpperCase()} - ${(actionObj.probability * 100).toFixed(2)}% - Estimated Reward: ${actionObj.reward.toFixed(2)}<br>`;
     });
 
     // Display the recommendations in the 'top-moves' element
@@ -1042,278 +477,522 @@ function deal() {
     } else {
         console.error("Element with ID 'top-moves' not found.");
     }
+}
 
-    // Hand strength simulation
-    let maxPlayerBet = 10; 
-
-    for (let i = 1; i <= 3; i++) { // players 2,3,4
-        const score = playerScores[i];
-        const betDecision = Math.random(); // random factor
-        let playerBet = 10; 
-
-        if (score >= 8 || betDecision > 0.8) { // Agressive
-            playerBet = bet2; 
-            const playerElement = document.querySelector(`[data-player='${i}']`);
-            if (playerElement) {
-                playerElement.dataset.status = "betting";
-                playerElement.dataset.lastMove = "bet";
-                playerElement.innerHTML = `Player ${i + 1} bets $${playerBet}`;
-            }
-        } else if (score >= 4 || betDecision > 0.5) { // Medium 
-            playerBet = 10; 
-            const playerElement = document.querySelector(`[data-player='${i}']`);
-            if (playerElement) {
-                playerElement.dataset.status = "checking";
-                playerElement.dataset.lastMove = "check";
-                playerElement.innerHTML = `Player ${i + 1} checks`;
-            }
-        } else { // Weak
-            playerBet = 0; // No bet
-            const playerElement = document.querySelector(`[data-player='${i}']`);
-            if (playerElement) {
-                playerElement.dataset.status = "folded";
-                playerElement.dataset.lastMove = "fold";
-                playerElement.innerHTML = `Player ${i + 1} folds`;
-            }
-            removeActivePlyr(i);
-        }
+// Outs, odds of hitting them and whether calling pays, under the recommendations
+function showAdvice(legal, equity) {
+    const state = table.state;
+    const holeCards = state.seats[0].holeCards;
+    const outs = countOuts(holeCards, state.communityCards);
+    const odds = hitOdds(outs.total, state.communityCards.length, holeCards.length);
+    const verdict = callVerdict({
+        toCall: legal.toCall,
+        pot: state.pot,
+        equity: equity.equity,
+        hitChance: odds.nextCard,
+        stack: state.playerMoney
+    });
+    let adviceHTML = "";
+    if (state.communityCards.length >= 3 && state.communityCards.length <= 4) {
+        const outList = outs.outs.map(out => `${out.target} ${out.clean}` + (out.tainted > 0 ? ` (+${out.tainted} tainted)` : "")).join(", ");
+        adviceHTML += `<strong>Outs:</strong> ${outs.total}${outList ? " - " + outList : ""}<br>`;
+        adviceHTML += `<strong>Hit:</strong> ${(odds.nextCard * 100).toFixed(1)}% next card`;
+        adviceHTML += state.communityCards.length === 3 ? `, ${(odds.byRiver * 100).toFixed(1)}% by the river<br>` : "<br>";
+    }
+    adviceHTML += `<strong>${verdict.verdict === "free" ? "Check" : "Call " + verdict.verdict}:</strong> ${verdict.text}`;
+    const adviceElement = document.getElementById("advisor");
+    adviceElement.innerHTML = adviceHTML;
+    adviceElement.classList.remove("hide");
+}
 
-        // Update the bet if there is upbet
-        if (playerBet > maxPlayerBet) {
-            maxPlayerBet = playerBet;
-        }
+function showHandDetails(seat) {
+    const state = table.state;
+    const hand = evaluateHoldings(state.seats[seat].holeCards, state.communityCards);
+    const detailsElement = document.getElementById(playersDetails[seat]);
+    detailsElement.classList.remove("hide");
+    if (seat === 0) {
+        detailsElement.innerHTML = "You have: " + hand.name + "  " + hand.cardsInvolved;
+    } else {
+        detailsElement.innerHTML = plyr + "Player " + (seat + 1) + ": " + hand.name + "  " + hand.cardsInvolved;
     }
+}
 
-    // Buttons configuration
-    document.querySelector("[data-round='match']").innerHTML = `Min Bet $${maxPlayerBet}`;
-    document.querySelector("[data-round='raise']").innerHTML = `Raise to $${Math.ceil(maxPlayerBet * 1.25)}`; // Raise al 25% sobre la apuesta máxima
-    document.querySelector("[data-round='max']").innerHTML = `All In $${playerMoney}`; // All-in con todo el dinero disponible
+const blindNames = { smallBlind: "small blind", bigBlind: "big blind", ante: "ante" };
+
+// Dealer button and blind badges next to each seat
+function showPositions(event) {
+    [].forEach.call(document.querySelectorAll("[data-position]"), function (e) {
+        const seat = Number(e.dataset.position);
+        let badges = [];
+        if (seat === event.button) badges.push("D");
+        if (seat === event.smallBlindSeat) badges.push("SB");
+        if (seat === event.bigBlindSeat) badges.push("BB");
+        e.innerHTML = badges.join(" ");
+        e.classList.toggle("hide", badges.length === 0);
+    });
+}
 
-    // Start winner evaluation
-    if (activePlayers.length === 1) { 
-        endGame();
-        return false;
-    }
+/*TABLE EVENTS*/
+function onHandStarted(event) {
+    stopThinking();
+    startTrainingHand();
+    playerIds.forEach(id => { document.getElementById(id).innerHTML = ""; });
+    document.getElementById("communityCards").innerHTML = "";
+    document.getElementById("communityCardDetails").classList.add("hide");
 
-    // Disable check
-    let shouldDisableCheck = activePlayers.some(player => player !== 0 && document.querySelector(`[data-player='${player}']`).dataset.status === 'betting');
-    hasRaised = shouldDisableCheck; 
-    document.querySelector("[data-round='check']").disabled = hasRaised;
+    [].forEach.call(document.querySelectorAll(".alert[data-player]"), function (e) {
+        e.classList.remove("alert-danger");
+        e.classList.add("alert-info");
+        e.classList.remove("hide");
+        e.classList.remove("alert-success");
+        e.dataset.status = "ready";
+    });
+    showStacks();
 
-    return false;
+    document.getElementById("status").classList.add("hide");
+    document.getElementById("potResults").classList.add("hide");
+    const notificationElement = document.getElementById("notification");
+    notificationElement.classList.remove("alert-success");
+    notificationElement.classList.remove("alert-danger");
+    notificationElement.classList.add("alert-info");
+    messageElement.innerHTML = "";
+
+    setPlayerMoney("betting");
+    document.getElementById("handSeed").innerHTML = handCode(event.seed, event.button);
+    document.getElementById("blindLevel").innerHTML = `Level ${event.level + 1}: blinds $${event.smallBlind}/$${event.bigBlind}` + (event.ante > 0 ? `, ante $${event.ante}` : "");
+    showPositions(event);
+    document.getElementById("communityCardDetails").innerHTML = "The Pot $" + event.pot;
+
+    clear("deal");
+    document.getElementById("foldBt").classList.remove("hide");
+    document.getElementById("foldBt").disabled = false;
+    document.querySelector("button[title='Deal']").disabled = true;
+    document.querySelector("button[title='Deal']").classList.add("hide");
 }
 
-function match(checked, betMultiplier) {
-    console.log(`Action received - Checked: ${checked}, Bet Multiplier: ${betMultiplier}`);
+function onCardsDealt(event, state) {
+    if (event.type === "hole") {
+        if (event.seat === 0) {
+            document.getElementById(playerIds[0]).innerHTML = event.cards.map(cardHTML).join("");
+        } else {
+            document.getElementById(playerIds[event.seat]).innerHTML = event.cards.map(() => "<div class='card hiddenDealerCard desktopOnly' ></div>").join("");
+        }
+    } else {
+        document.getElementById("communityCards").innerHTML = event.communityCards.map(cardHTML).join("");
+    }
+}
 
-    gameIncrement++;
-    let gameStep = gameIncrement;
-    let maxLength = gameStep < 4 ? gameStep + 1 : 5;
+function onPlayerActed(event, state) {
+    if (event.seat === 0) {
+        stopThinking(); /*the spot the AI was working on is gone*/
+        if (trainingMode && decisionSituation && !isForcedBet(event.action)) {
+            recordTrainingDecision(decisionSituation, event, lastAdvice);
+        }
+        decisionSituation = null;
+    }
+    const playerElement = document.querySelector(`[data-player='${event.seat}']`);
+    playerElement.dataset.status = state.seats[event.seat].status;
+    playerElement.dataset.lastMove = event.action;
+    if (event.seat === 0) {
+        setPlayerMoney("betting");
+    } else if (event.action === "smallBlind" || event.action === "bigBlind" || event.action === "ante") {
+        playerElement.innerHTML = `Player ${event.seat + 1} posts ${blindNames[event.action]} $${event.amount}`;
+    } else if (event.action === "fold") {
+        playerElement.innerHTML = `Player ${event.seat + 1} folds`;
+    } else if (event.action === "check") {
+        playerElement.innerHTML = `Player ${event.seat + 1} checks`;
+    } else if (event.action === "call") {
+        playerElement.innerHTML = `Player ${event.seat + 1} calls $${event.amount}`;
+    } else if (event.action === "raise") {
+        playerElement.innerHTML = `Player ${event.seat + 1} raises to $${event.streetBet}`;
+    } else if (event.action === "allin") {
+        playerElement.innerHTML = `Player ${event.seat + 1} is all in for $${event.streetBet}`;
+    } else {
+        playerElement.innerHTML = `Player ${event.seat + 1} bets $${event.amount}`;
+    }
+    if (event.seat !== 0 && isFinite(state.seats[event.seat].stack)) {
+        playerElement.innerHTML += `<br><small>Stack $${state.seats[event.seat].stack}</small>`;
+    }
+    document.getElementById("communityCardDetails").innerHTML = "The Pot $" + event.pot;
+}
 
-    document.getElementById("communityCardDetails").classList.remove("hide");
+let newBots = {}; /*seat -> true for bots that replaced a busted one before this hand*/
+
+// Every seat's chips in its details box as the hand starts, with who just sat down
+function showStacks() {
+    table.state.seats.forEach(player => {
+        const detailsElement = document.getElementById(playersDetails[player.seat]);
+        if (player.status === "out") {
+            const place = table.state.seats.length - table.state.eliminated.indexOf(player.seat);
+            detailsElement.innerHTML = `${player.seat === 0 ? "You are" : plyr + "Player " + (player.seat + 1) + " is"} out, place ${place}`;
+            return;
+        }
+        const stack = player.seat === 0 ? table.state.playerMoney : player.stack;
+        const newcomer = newBots[player.seat] ? " (new player)" : "";
+        detailsElement.innerHTML = (player.seat === 0 ? "You" : plyr + "Player " + (player.seat + 1) + newcomer) +
+            (isFinite(stack) ? `<br><small>Stack $${stack}</small>` : "");
+    });
+    newBots = {};
+}
 
-    // Verify upbet in the last round
-    let anyPlayerRaised = activePlayers.some(player => {
-        return player !== 0 && document.querySelector(`[data-player='${player}']`).dataset.lastMove === "bet";
+// A bot lost its whole stack and a new one takes the seat; reads on the old one don't count
+function onBotReplaced(event) {
+    newBots[event.seat] = true;
+    const badge = document.querySelector(`[data-read='${event.seat}']`);
+    if (badge) badge.classList.add("hide");
+}
+
+// Betting is over: every hand still in goes face up while the board is dealt
+function onRunout(event) {
+    event.hands.forEach(shown => {
+        document.getElementById(playerIds[shown.seat]).innerHTML = shown.cards.map(cardHTML).join("");
     });
+    document.getElementById("communityCardDetails").classList.remove("hide");
+    document.getElementById("betTarget").innerHTML = "All in, running the board out";
+}
 
-    console.log(`Iteración ${gameStep}: anyPlayerRaised = ${anyPlayerRaised}`);
-
-    // Folder players after betting
-    if (anyPlayerRaised) {
-        activePlayers.forEach(player => {
-            if (player !== 0) {
-                let playerElement = document.querySelector(`[data-player='${player}']`);
-                if (playerElement && playerElement.dataset.lastMove === "check") {
-                    playerElement.dataset.status = "folded";
-                    playerElement.innerHTML = `Player ${player + 1} is folded by check`;
-                    removeActivePlyr(player);
-                    console.log(`Player ${player + 1} hizo check y fue folded`);
-                }
-            }
-        });
+function onStreetAdvanced(event, state) {
+    if (event.gameStep > 1) {
+        document.getElementById("communityCardDetails").classList.remove("hide");
     }
+    document.getElementById("communityCardDetails").innerHTML = "The Pot $" + event.pot;
+    showHandDetails(0);
+    if (state.activePlayers.indexOf(0) !== -1) {
+        showEquity();
+    }
+}
 
-    // CFR Recommendations
-    // Prepare the current state
-    const currentState = {
-        playerHand: playersHands[0], // Principal player hand
-        pot: thePot, // Pot size
-        currentBet: bet, // Initial bet
-        activePlayers: activePlayers.length, // Active players
-        cardsDealt: communityCards.length + playersHands[0].length // Number of cards dealt
-    };
+// What the raise button bets: the minimum raise facing a bet, twice the minimum bet otherwise
+function raiseTarget(legal) {
+    return legal.toCall > 0 ? legal.minRaise : Math.min(legal.minRaise * 2, legal.maxRaise);
+}
 
-    // Expose currentState and getCurrentState globally
-    window.currentState = currentState;
-    window.getCurrentState = function() {
-        return window.currentState;
-    };
+let betAmount = 0; /*what the hero's bet on this street is raised to by the raise button*/
 
-    // Train the CFR algorithm
-    for (let i = 0; i < 10000; i++) {
-        playRound();
-    }
+// Bet or raise to a share of the pot: call first, then add that share of the pot after calling
+function potSizedBet(legal, fraction) {
+    const state = table.state;
+    return state.seats[0].streetBet + legal.toCall + Math.round(fraction * (state.pot + legal.toCall));
+}
 
-    // Get the current strategy
-    let strategy = getStrategy();
+// No less than a minimum bet or raise and no more than the hero's stack
+function clampBet(amount, legal) {
+    return Math.max(legal.minRaise, Math.min(Math.round(amount) || 0, legal.maxRaise));
+}
 
-    // Possible actions
-    const possibleActions = ['check', 'match', 'raise', 'allin'];
+function setBetAmount(value) {
+    const legal = table.getLegalActions();
+    if (!legal || !legal.canRaise) return false;
+    betAmount = clampBet(Number(value), legal);
+    document.getElementById("betSlider").value = betAmount;
+    document.getElementById("betAmount").value = betAmount;
+    const allIn = betAmount === table.state.seats[0].streetBet + table.state.playerMoney ? " (all in)" : "";
+    document.querySelector("[data-round='raise']").innerHTML = (legal.toCall > 0 ? "Raise to $" : "Bet $") + betAmount + allIn;
+    return false;
+}
 
-    // Calculate estimated rewards and probabilities
-    const actionData = possibleActions.map(action => {
-        const reward = calculateReward(currentState, action);
-        const probability = strategy[action] || 0;
-        return { action, reward, probability };
-    });
+// Preset sizes: a share of the pot, or "max" for all in (the pot in pot limit)
+function sizeBet(fraction) {
+    const legal = table.getLegalActions();
+    if (!legal) return false;
+    return setBetAmount(fraction === "max" ? legal.maxRaise : potSizedBet(legal, fraction));
+}
 
-    // Sort actions based on estimated rewards (descending)
-    actionData.sort((a, b) => b.reward - a.reward);
+function showBetSizing(legal) {
+    const sizing = document.getElementById("betSizing");
+    sizing.classList.toggle("hide", !legal.canRaise);
+    if (!legal.canRaise) return;
+    const slider = document.getElementById("betSlider");
+    const input = document.getElementById("betAmount");
+    slider.min = input.min = legal.minRaise;
+    slider.max = input.max = legal.maxRaise;
+    input.title = `From $${legal.minRaise} to $${legal.maxRaise}`;
+    document.getElementById("sizeMax").innerHTML = table.state.variant === "omaha" ? "Max" : "All in";
+    setBetAmount(raiseTarget(legal));
+}
 
-    // Retrieve the global min and max rewards
-    const minRewards = getMinRewards();
-    const maxRewards = getMaxRewards();
+function onActionRequired(legal, state) {
+    showRecommendations();
+    document.getElementById("advisor").classList.add("hide");
+    showEquity(equity => {
+        if (table.getLegalActions()) showAdvice(legal, equity); /*unless the hero acted before it was known*/
+    });
 
-    // Calculate overall reward range across all actions
-    const allRewards = Object.values(minRewards).concat(Object.values(maxRewards));
-    const globalMinReward = Math.min(...allRewards);
-    const globalMaxReward = Math.max(...allRewards);
+    document.querySelector("[data-round='match']").innerHTML = legal.toCall > 0 ? `Call $${legal.toCall}` : `Min Bet $${legal.minRaise}`;
+    showBetSizing(legal);
+    /*both labels give what the hero's bet on the street is raised to*/
+    const allIn = state.seats[0].streetBet + state.playerMoney;
+    document.querySelector("[data-round='max']").innerHTML = legal.maxRaise < allIn ? `Pot $${legal.maxRaise}` : `All In $${allIn}`;
+    ["max", "match", "raise", "check"].forEach(round => {
+        document.querySelector(`[data-round='${round}']`).classList.remove("hide");
+        document.querySelector(`[data-round='${round}']`).disabled = false;
+    });
+    document.getElementById("foldBt").classList.remove("hide");
+    document.getElementById("foldBt").disabled = false;
+    document.querySelector("[data-round='check']").disabled = !legal.canCheck;
+    document.querySelector("[data-round='match']").disabled = legal.toCall === 0 && !legal.canRaise;
+    document.querySelector("[data-round='raise']").disabled = !legal.canRaise;
+    /*after a short all-in that reopened nothing the hero may only call, which Call does*/
+    document.querySelector("[data-round='max']").disabled = !legal.canRaise;
+}
 
-    // Prepare recommendations HTML
-    let recommendationsHTML = `<strong>Estimated Reward Range:</strong> ${globalMinReward.toFixed(2)} to ${globalMaxReward.toFixed(2)}<br><br>`;
-    recommendationsHTML += "<strong>Action Recommendations:</strong><br>";
+function onShowdown(result, state) {
+    result.hands.forEach(h => showHandDetails(h.seat));
+}
 
-    actionData.forEach((actionObj, index) => {
-        recommendationsHTML += `${index + 1}. ${actionObj.action.toUpperCase()} - Estimated Reward: ${actionObj.reward.toFixed(2)}<br>`;
-    });
+// Name shown for a seat in the results
+function seatName(seat) {
+    return seat === 0 ? "You" : "Player " + (seat + 1);
+}
 
-    // Display the recommendations in the 'top-moves' element
-    const topMovesElement = document.getElementById("top-moves");
-    if (topMovesElement) {
-        topMovesElement.innerHTML = recommendationsHTML;
-    } else {
-        console.error("Element with ID 'top-moves' not found.");
-    }
+// List every pot, its amount and who took it
+function showPots(pots) {
+    const potResultsElement = document.getElementById("potResults");
+    potResultsElement.innerHTML = pots.map(pot => {
+        const shares = pot.winners.map(seat => seatName(seat) + (pot.winners.length > 1 ? " ($" + pot.shares[seat] + ")" : ""));
+        return `<strong>${pot.name} $${pot.amount}:</strong> ${shares.join(", ")}`;
+    }).join("<br>");
+    potResultsElement.classList.remove("hide");
+}
 
-     let player1Bet = 0;
-     let maxPlayerBet = 10; // Minimun bet
-
-     if (!checked) { 
-         if (gameStep === 2) { 
-             // Validate step
-             if (betMultiplier === 1) {
-                 player1Bet = parseFloat(document.querySelector("[data-round='match']").innerHTML.split('$')[1]); 
-             } else if (betMultiplier === 2) {
-                 player1Bet = parseFloat(document.querySelector("[data-round='raise']").innerHTML.split('$')[1]); 
-             } else if (betMultiplier === 3) {
-                 player1Bet = parseFloat(document.querySelector("[data-round='max']").innerHTML.split('$')[1]); 
-             }
-         } else {
-             // Standar logic
-             if (betMultiplier === 1) {
-                 player1Bet = maxPlayerBet; // Minimun bet match
-             } else if (betMultiplier === 2) {
-                 player1Bet = Math.ceil(maxPlayerBet * 1.25); // Raise bet
-             } else if (betMultiplier === 3) {
-                 player1Bet = playerMoney; // All in
-             }
-         }
-     } else {
-         player1Bet = 0; // Check
-     }
- 
-     console.log(`Player principal action: Checked: ${checked}, Bet Multiplier: ${betMultiplier}, Player bet: ${player1Bet}`);
- 
- 
-     // Update player bet and pot
-     bet += player1Bet;
-     playerMoney -= player1Bet;
-     thePot += player1Bet;
-     setPlayerMoney("betting");
- 
-     console.log(`Updated values - Bet: ${bet}, Player Money: ${playerMoney}, Pot: ${thePot}`);
- 
-     document.getElementById("betTarget").innerHTML = "Bet $" + bet;
-     document.getElementById("communityCardDetails").innerHTML = "The Pot $" + thePot;
- 
-     document.getElementById("playerMoney").innerHTML = playerMoney;
-
-    // Show cards
-    if (gameStep === 2) {
-        communityCards = [];
-        document.getElementById("communityCardDetails").classList.remove("hide");
-        buildCommunityCards(3, gameStep);
+function onHandEnded(result, state) {
+    setPlayerMoney("end");
+    showPlayersCards();
+    showPots(result.pots);
+    if (result.reason === "fold") {
+        document.getElementById("betTarget").innerHTML = "Folded. You lost $" + state.bet + ". Place your bet.";
+        endGame();
+        clear("fold");
+    } else if (result.share > 0 && result.share >= state.bet) {
+        /*won or lost on the chips over all the pots: a side pot can make up for the main one*/
+        const split = result.pots.some(pot => pot.winners.length > 1 && pot.winners.indexOf(0) !== -1);
+        messageElement.classList.remove("hide");
+        youWin(split ? "split" : "default", result.share);
     } else {
-        buildCommunityCards(maxLength, gameStep);
-    }
-
-    // Evaluate players hand in each iteration
-    let evaled = [];
-    for (let i = 0; i < activePlayers.length; i++) {
-        if (!evaled.includes(activePlayers[i]) && activePlayers[i] !== undefined) {
-            evaluateHand(activePlayers[i], gameStep);
-            evaled.push(activePlayers[i]);
-        }
+        messageElement.classList.remove("hide");
+        youLose(result.winners[0]);
     }
+    finishTrainingHand();
+}
 
-    // Players logic bets
-    for (let i = 1; i <= 3; i++) { // Players 2,3,4
-        if (!activePlayers.includes(i)) continue; // Jump if a player is folded
-
-        if (gameStep >= 4) { 
-            document.querySelector(`[data-player='${i}']`).dataset.status = "finished";
-            continue;
-        }
+// Generate one seat container per player, the hero is always seat 0
+function buildSeats(seatCount, profiles) {
+    const columnClass = seatCount <= 4 ? "col-md-" + (12 / seatCount) : "col-md-2";
+    let seatsHTML = "";
+    playerIds = [];
+    playersDetails = [];
+    for (let i = 0; i < seatCount; i++) {
+        playerIds.push("seatCards" + i);
+        playersDetails.push("seatDetails" + i);
+        seatsHTML += `<div class="${columnClass} player-container">
+                    <span class="position-badge hide" data-position="${i}"></span>
+                    ${i === 0 ? "" : profileSelectHTML(i, profiles[i])}
+                    ${i === 0 ? "" : `<span class="read-badge hide" data-read="${i}"></span>`}
+                    <div id="seatCards${i}" class="cards-container"></div>
+                    <div class="alert alert-info hide player-details" data-status="" id="seatDetails${i}" role="alert" data-player="${i}"></div>
+                </div>`;
+    }
+    document.getElementById("playersRow").innerHTML = seatsHTML;
+    yourDetails = document.querySelector("[data-player='0']");
+}
 
-        const playerHandStrength = calculateHandStrength(playersHands[i]);
-        const playerDecisionFactor = Math.random();
-        let playerBet = 10; 
-
-        if (playerHandStrength >= 8 || (playerHandStrength >= 5 && playerDecisionFactor > 0.7)) {
-            playerBet = Math.max(maxPlayerBet, 10); 
-            document.querySelector(`[data-player='${i}']`).dataset.status = "betting";
-            document.querySelector(`[data-player='${i}']`).innerHTML = `Player ${i + 1} bets $${playerBet}`;
-            document.querySelector(`[data-player='${i}']`).dataset.lastMove = "bet"; 
-            thePot += playerBet; 
-            console.log(`Player ${i + 1} bets: ${playerBet}, Total Pot: ${thePot}`);
-        } else if (playerHandStrength >= 4 || (playerHandStrength >= 2 && playerDecisionFactor > 0.4)) {
-            document.querySelector(`[data-player='${i}']`).dataset.status = "checking";
-            document.querySelector(`[data-player='${i}']`).innerHTML = `Player ${i + 1} checks`;
-            document.querySelector(`[data-player='${i}']`).dataset.lastMove = "check"; 
-            console.log(`Player ${i + 1} checks`);
-        } else {
-            document.querySelector(`[data-player='${i}']`).dataset.status = "folded";
-            document.querySelector(`[data-player='${i}']`).innerHTML = `Player ${i + 1} folds`;
-            document.querySelector(`[data-player='${i}']`).dataset.lastMove = "fold"; 
-            removeActivePlyr(i);
-            console.log(`Player ${i + 1} folds`);
-        }
+// Personality picker shown under every bot seat
+function profileSelectHTML(seat, profileId) {
+    const optionsHTML = Object.keys(botStrategies).map(id => {
+        const strategy = botStrategies[id];
+        return `<option value="${id}"${id === profileId ? " selected" : ""}>${strategy.short} - ${strategy.name}</option>`;
+    }).join("");
+    return `<select class="profile-select" data-profile="${seat}" title="Bot personality" onChange="javascript:changeBotProfile(${seat}, this.value)">${optionsHTML}</select>`;
+}
 
-        if (playerBet > maxPlayerBet) {
-            maxPlayerBet = playerBet;
-        }
+// Bot personalities saved for every seat, seats never picked get the default one
+function savedBotProfiles(seatCount) {
+    const saved = JSON.parse(profileStorage.getItem("botProfiles") || "[]");
+    let profiles = [null];
+    for (let i = 1; i < seatCount; i++) {
+        profiles.push(botStrategies[saved[i]] ? saved[i] : defaultProfileFor(i));
     }
+    return profiles;
+}
 
-    document.querySelector("[data-round='match']").innerHTML = `Min Bet $${maxPlayerBet}`;
-    document.querySelector("[data-round='raise']").innerHTML = `Raise to $${Math.ceil(maxPlayerBet * 1.25)}`; 
-    document.querySelector("[data-round='max']").innerHTML = `All In $${playerMoney}`; 
+function changeBotProfile(seat, profileId) {
+    if (!table.setBotProfile(seat, profileId)) return false;
+    const saved = JSON.parse(profileStorage.getItem("botProfiles") || "[]");
+    saved[seat] = profileId;
+    profileStorage.setItem("botProfiles", JSON.stringify(saved));
+    showReads();
+    return false;
+}
 
-    let shouldDisableCheck = activePlayers.some(player => player !== 0 && document.querySelector(`[data-player='${player}']`).dataset.status === 'betting');
-    hasRaised = shouldDisableCheck; 
-    document.querySelector("[data-round='check']").disabled = hasRaised;
+// Short read on every bot under its seat, see describeRead()
+function showReads() {
+    [].forEach.call(document.querySelectorAll("[data-read]"), function (e) {
+        const text = describeRead(opponentModel.readFor(Number(e.dataset.read)));
+        e.innerHTML = text;
+        e.title = text ? "Hands seen, VPIP/PFR, aggression factor, fold to bet" : "";
+        e.classList.toggle("hide", text === "");
+    });
+}
 
-    // Evaluate if there is only one player
-    if (gameStep >= 4 || activePlayers.length === 1) {
-        endGame();
-    }
+// What the reads say about the opponents still in the hand, for the recommendations
+function readsHTML() {
+    const lines = table.state.activePlayers.filter(seat => seat !== 0).map(seat => {
+        const read = opponentModel.readFor(seat);
+        const range = estimateRange(read);
+        const short = read.profile ? ` (${getBotStrategy(read.profile).short})` : "";
+        return `${seatName(seat)}${short}: ${describeRead(read) || "no hands seen"} - plays about ${Math.round(range.width * 100)}% of hands`;
+    });
+    return lines.length > 0 ? `<small><strong>Reads:</strong><br>${lines.join("<br>")}</small><br>` : "";
 }
 
+let handHistory = []; /*every hand recorded on this page, across table sizes*/
+let opponentModel = null; /*reads on the bots of the current table*/
 
+// Save the hands played so far as JSON or as PokerStars text
+function exportHistory(format) {
+    if (handHistory.length === 0) {
+        alert("No hands to export yet.");
+        return false;
+    }
+    const day = new Date().toISOString().substring(0, 10);
+    if (format === "text") {
+        downloadFile(`battlepoker-hands-${day}.txt`, historyToText(handHistory), "text/plain");
+    } else {
+        downloadFile(`battlepoker-hands-${day}.json`, historyToJSON(handHistory), "application/json");
+    }
+    return false;
+}
 
+// A new table of 2 to 9 seats; every per-player structure is sized from the seat count.
+// tableOptions replace the cash game ones, for tournaments
+function startSession(seatCount, tableOptions) {
+    seatCount = Math.max(minSeats, Math.min(maxSeats, seatCount));
+    const profiles = savedBotProfiles(seatCount);
+    buildSeats(seatCount, profiles);
+    const variant = profileStorage.getItem("variant") || "holdem";
+    /*four hole cards overlap to fit the seat*/
+    document.getElementById("playersRow").classList.toggle("omaha", variant === "omaha");
+    table = createPokerTable(Object.assign({
+        seats: seatCount,
+        variant: variant,
+        random: gameRandom,
+        playerMoney: playerMoney,
+        botBuyIn: rebuyPolicy.botBuyIn,
+        botProfiles: profiles
+    }, tableOptions));
+    table.on("handStarted", onHandStarted);
+    table.on("cardsDealt", onCardsDealt);
+    table.on("playerActed", onPlayerActed);
+    table.on("streetAdvanced", onStreetAdvanced);
+    table.on("actionRequired", onActionRequired);
+    table.on("runout", onRunout);
+    table.on("botReplaced", onBotReplaced);
+    table.on("showdown", onShowdown);
+    table.on("handEnded", onHandEnded);
+    opponentModel = createOpponentModel(table);
+    table.on("handEnded", showReads);
+    createHandRecorder(table, {
+        tableName: tableOptions ? "Sit-and-go" : "BattlePoker",
+        onHandRecorded: hand => {
+            handHistory.push(hand);
+            if (tableOptions) return; /*the stats and the ledger are of cash hands, in money*/
+            recordHandTransactions(hand);
+            recordHandStats(hand);
+            showStats();
+        },
+        adviceFor: () => lastAdvice
+    });
+    document.getElementById("howManyopponents").value = seatCount - 1;
+    document.getElementById("gameVariant").value = variant;
+    profileStorage.setItem("opponents", seatCount - 1);
+}
 
+// Table size picked from the opponents select, only between hands
+function changeTableSize() {
+    const select = document.getElementById("howManyopponents");
+    if (tournament && !tournament.isFinished()) {
+        alert("Finish the tournament before changing the table size.");
+        select.value = table.state.seats.length - 1;
+        return false;
+    }
+    if (table && table.state.handInProgress) {
+        alert("Finish this hand before changing the table size.");
+        select.value = table.state.seats.length - 1;
+        return false;
+    }
+    if (tournament) {
+        leaveTournament(Number(select.value) + 1);
+        return false;
+    }
+    startSession(Number(select.value) + 1);
+    return false;
+}
 
+// Hold'em or Omaha, picked from the game select, only between hands and tournaments
+function changeVariant() {
+    const select = document.getElementById("gameVariant");
+    if ((tournament && !tournament.isFinished()) || table.state.handInProgress) {
+        alert("Finish this hand and any tournament before changing the game.");
+        select.value = table.state.variant;
+        return false;
+    }
+    profileStorage.setItem("variant", select.value);
+    if (tournament) {
+        leaveTournament(); /*back to the cash table, with the new game*/
+        return false;
+    }
+    startSession(table.state.seats.length);
+    return false;
+}
 
+function deal() {
+    if (tournament && tournament.isFinished()) leaveTournament();
+    if (!resetPlayerMoney()) return false;
+    table.deal();
+    return false;
+}
 
+// Deal again from the seed typed by the user, from the button after it if there is one
+function replaySeed() {
+    const code = parseHandCode(document.getElementById("seedInput").value);
+    if (code === null) {
+        alert("Please enter a seed to replay.");
+        return false;
+    }
+    if (tournament && !tournament.isFinished()) {
+        alert("Finish the tournament before replaying a seed.");
+        return false;
+    }
+    if (tournament) leaveTournament();
+    if (!resetPlayerMoney()) return false;
+    table.deal(code.seed, code.button);
+    return false;
+}
 
+function match(checked, betMultiplier) {
+    const legal = table.getLegalActions();
+    if (!legal) return false;
+    if (checked) {
+        table.check();
+    } else if (betMultiplier === 1) {
+        if (legal.toCall > 0) {
+            table.call();
+        } else {
+            table.raise(legal.minRaise);
+        }
+    } else if (betMultiplier === 2) {
+        table.raise(clampBet(betAmount, legal));
+    } else if (betMultiplier === 3) {
+        if (legal.canRaise) {
+            table.raise(legal.maxRaise);
+        } else {
+            table.call();
+        }
+    }
+    return false;
+}
 
+loadTrainingBudget();
+showRebuyPolicy();
+loadModel();
+startSession(Number(profileStorage.getItem("opponents") || 3) + 1);
@@ -0,0 +1,71 @@
+// Pots.js
+
+// Main pot and side pots built from what every seat put in during a hand.
+
+// contributions[seat] is the total a seat put in, folded lists the seats out of the hand.
+// Returns [{ amount, eligible: [seats] }], main pot first
+function buildPots(contributions, folded) {
+    const live = contributions.map((amount, seat) => seat).filter(seat => folded.indexOf(seat) === -1 && contributions[seat] > 0);
+    const levels = [...new Set(live.map(seat => contributions[seat]))].sort((a, b) => a - b);
+    let pots = [];
+    let previous = 0;
+    levels.forEach(level => {
+        let amount = 0;
+        contributions.forEach(put => {
+            amount += Math.max(0, Math.min(put, level) - previous);
+        });
+        pots.push({ amount: amount, eligible: live.filter(seat => contributions[seat] >= level) });
+        previous = level;
+    });
+    /*chips a folded seat put in above everyone still playing go to the last pot*/
+    let leftover = 0;
+    contributions.forEach(put => {
+        leftover += Math.max(0, put - previous);
+    });
+    if (leftover > 0 && pots.length > 0) {
+        pots[pots.length - 1].amount += leftover;
+    }
+    return pots.filter(pot => pot.amount > 0);
+}
+
+// Give every pot to the best eligible hand. hands[seat] comes from evaluateCards and
+// positionOrder lists the seats from the first to act, who get the odd chips first.
+// Returns the pots with winners and shares ({ seat: amount }) filled in
+function awardPots(pots, hands, positionOrder) {
+    return pots.map((pot, index) => {
+        let contenders = pot.eligible.filter(seat => hands[seat]);
+        let winners = contenders;
+        if (contenders.length > 1) {
+            let top = contenders.slice().sort((a, b) => compareHands(hands[b], hands[a]))[0];
+            winners = contenders.filter(seat => compareHands(hands[seat], hands[top]) === 0);
+        } else if (contenders.length === 0) {
+            winners = pot.eligible; /*uncontested, nobody showed cards*/
+        }
+        winners = positionOrder.filter(seat => winners.indexOf(seat) !== -1);
+        let shares = {};
+        let each = Math.floor(pot.amount / winners.length);
+        let oddChips = pot.amount - each * winners.length;
+        winners.forEach(seat => {
+            shares[seat] = each + (oddChips > 0 ? 1 : 0);
+            oddChips--;
+        });
+        return {
+            name: index === 0 ? "Main pot" : "Side pot " + index,
+            amount: pot.amount,
+            eligible: pot.eligible,
+            winners: winners,
+            shares: shares
+        };
+    });
+}
+
+// Total each seat takes from the awarded pots
+function totalShares(awards) {
+    let totals = {};
+    awards.forEach(award => {
+        Object.keys(award.shares).forEach(seat => {
+            totals[seat] = (totals[seat] || 0) + award.shares[seat];
+        });
+    });
+    return totals;
+}
@@ -0,0 +1,238 @@
+// Profiles.js
+
+// Named player profiles for everybody sharing the machine. Each profile keeps its own
+// balance, settings, stats and a ledger of every credit and debit, stored in
+// localStorage under "profile.<id>.<key>". The scripts read and write their keys
+// through profileStorage, so they only ever see the profile playing. The AI model
+// is the same for every profile.
+
+const profilesKey = "profiles";
+const activeProfileKey = "activeProfile";
+/*keys every script kept for the whole machine before profiles, moved into the first one*/
+const profileKeys = ["balance", "theme", "rebuyPolicy", "cfrBudget", "botProfiles", "opponents", "handStats", "tournamentConfig", "trainingMode"];
+const startingBalance = 500;
+const ledgerKey = "ledger";
+const maxLedgerEntries = 4000; /*oldest transactions are dropped past this, about 450 KB of storage*/
+const ledgerTypes = {
+    deposit: "Opening balance",
+    bet: "Bet",
+    pot: "Pot won",
+    rebuy: "Rebuy",
+    reset: "Reset",
+    "buy-in": "Tournament buy-in",
+    prize: "Tournament prize"
+};
+
+let storageFullReported = false;
+
+// localStorage.setItem that survives a full storage: a hand must not stop half way
+// through its handEnded listeners, nor a profile half way through being created,
+// because something didn't fit. Every write of this file and profileStorage goes here
+function storeItem(key, value) {
+    try {
+        localStorage.setItem(key, value);
+        return true;
+    } catch (error) {
+        console.error(`Could not save ${key}`, error);
+        if (!storageFullReported) {
+            storageFullReported = true;
+            alert("The browser storage is full, the latest profiles, stats and transactions are not being saved. Delete a profile you don't use to make room.");
+        }
+        return false;
+    }
+}
+
+function loadProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(profilesKey) || "[]");
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveProfiles(profiles) {
+    return storeItem(profilesKey, JSON.stringify(profiles));
+}
+
+function profileKey(id, key) {
+    return `profile.${id}.${key}`;
+}
+
+// A profile with `startingBalance` chips in its wallet, the opening deposit in its ledger.
+// Null when the storage is too full to keep it
+function createProfile(name) {
+    let profiles = loadProfiles();
+    const profile = { id: String(Date.now()) + profiles.length, name: name, createdAt: new Date().toISOString() };
+    profiles.push(profile);
+    if (!saveProfiles(profiles)) return null;
+    storeItem(profileKey(profile.id, "balance"), startingBalance);
+    appendTransaction(profile.id, "deposit", startingBalance, startingBalance, "");
+    return profile;
+}
+
+// The profile playing now. The first time, the machine-wide keys become the first profile
+function activeProfile() {
+    let profiles = loadProfiles();
+    if (profiles.length === 0) {
+        const profile = { id: "1", name: "Player 1", createdAt: new Date().toISOString() };
+        profileKeys.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value === null) return;
+            if (storeItem(profileKey(profile.id, key), value)) localStorage.removeItem(key);
+        });
+        const balance = parseInt(localStorage.getItem(profileKey(profile.id, "balance")));
+        const opening = isNaN(balance) ? startingBalance : balance;
+        storeItem(profileKey(profile.id, "balance"), opening);
+        profiles.push(profile);
+        saveProfiles(profiles);
+        appendTransaction(profile.id, "deposit", opening, opening, "");
+    }
+    return profiles.find(profile => profile.id === localStorage.getItem(activeProfileKey)) || profiles[0];
+}
+
+const currentProfile = activeProfile();
+
+// localStorage of the profile playing
+const profileStorage = {
+    getItem: key => localStorage.getItem(profileKey(currentProfile.id, key)),
+    setItem: (key, value) => storeItem(profileKey(currentProfile.id, key), value),
+    removeItem: key => localStorage.removeItem(profileKey(currentProfile.id, key))
+};
+
+// Ledger
+
+function loadLedger(id) {
+    try {
+        return JSON.parse(localStorage.getItem(profileKey(id, ledgerKey)) || "[]");
+    } catch (error) {
+        return [];
+    }
+}
+
+function appendTransaction(id, type, amount, balance, note) {
+    let ledger = loadLedger(id);
+    ledger.push({ at: new Date().toISOString(), type: type, amount: amount, balance: balance, note: note });
+    storeItem(profileKey(id, ledgerKey), JSON.stringify(ledger.slice(-maxLedgerEntries)));
+}
+
+// Write a credit (positive amount) or debit (negative) of the profile playing.
+// balance is the wallet after it
+function recordTransaction(type, amount, balance, note) {
+    if (amount === 0) return;
+    appendTransaction(currentProfile.id, type, amount, balance, note || "");
+    showLedger();
+}
+
+// The chips the hero put in and took out of a recorded cash hand (see History.js)
+function recordHandTransactions(hand) {
+    const won = hand.result.won[0] || 0;
+    const bet = won - hand.result.heroNet;
+    const note = `Hand #${hand.handNumber} (${hand.id})`;
+    recordTransaction("bet", -bet, hand.result.playerMoney - won, note);
+    recordTransaction("pot", won, hand.result.playerMoney, note);
+}
+
+function csvField(value) {
+    const text = String(value === undefined || value === null ? "" : value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function ledgerToCSV(ledger) {
+    const rows = [["Date", "Type", "Amount", "Balance", "Note"]].concat(ledger.map(entry => [entry.at, ledgerTypes[entry.type] || entry.type, entry.amount, entry.balance, entry.note]));
+    return rows.map(row => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+// Profiles panel
+
+function openProfiles() {
+    document.getElementById("profiles").classList.remove("hide");
+    showProfiles();
+    return false;
+}
+
+function closeProfiles() {
+    document.getElementById("profiles").classList.add("hide");
+    return false;
+}
+
+// Another profile can't sit down in the middle of a hand or a tournament
+function canLeaveTable() {
+    if (table.state.handInProgress || tournament) {
+        alert("Finish this hand and any tournament first.");
+        return false;
+    }
+    return true;
+}
+
+function addProfile() {
+    const name = (prompt("Name of the new player:") || "").trim();
+    if (!name || !canLeaveTable()) return false;
+    const profile = createProfile(name);
+    if (profile) switchProfile(profile.id);
+    return false;
+}
+
+// Every script reads its settings as the page loads, so the page loads again as the other player
+function switchProfile(id) {
+    if (id === currentProfile.id || !canLeaveTable()) {
+        showProfiles();
+        return false;
+    }
+    if (storeItem(activeProfileKey, id)) window.location.reload();
+    return false;
+}
+
+function deleteProfile() {
+    const profiles = loadProfiles();
+    if (profiles.length === 1) {
+        alert("The only profile can't be deleted.");
+        return false;
+    }
+    if (!canLeaveTable() || !confirm(`Delete ${currentProfile.name} with the balance, stats and ledger?`)) return false;
+    const prefix = profileKey(currentProfile.id, "");
+    Object.keys(localStorage).filter(key => key.indexOf(prefix) === 0).forEach(key => localStorage.removeItem(key));
+    saveProfiles(profiles.filter(profile => profile.id !== currentProfile.id));
+    localStorage.removeItem(activeProfileKey);
+    window.location.reload();
+    return false;
+}
+
+// Back to the starting balance with every rebuy available again, written to the ledger
+// like any other credit or debit
+function resetWallet() {
+    if (!canLeaveTable() || !confirm(`Set the balance of ${currentProfile.name} back to $${startingBalance}?`)) return false;
+    const change = startingBalance - playerMoney;
+    playerMoney = startingBalance;
+    table.setPlayerMoney(playerMoney);
+    setPlayerMoney("reset");
+    recordTransaction("reset", change, playerMoney, "");
+    rebuysUsed = 0;
+    profileStorage.setItem("rebuysUsed", rebuysUsed);
+    showRebuyPolicy();
+    if (gameDisabled) window.location.reload(); /*the buttons of a disabled game stay dead until the page loads again*/
+    return false;
+}
+
+function exportLedger() {
+    const day = new Date().toISOString().substring(0, 10);
+    downloadFile(`battlepoker-ledger-${currentProfile.name.replace(/\W+/g, "-")}-${day}.csv`, ledgerToCSV(loadLedger(currentProfile.id)), "text/csv");
+    return false;
+}
+
+function showProfiles() {
+    document.getElementById("profileName").textContent = currentProfile.name;
+    document.getElementById("profileSelect").innerHTML = loadProfiles().map(profile => `<option value="${profile.id}">${profile.name.replace(/</g, "&lt;")}</option>`).join("");
+    document.getElementById("profileSelect").value = currentProfile.id;
+    showLedger();
+}
+
+// The latest transactions, newest first
+function showLedger() {
+    const ledgerElement = document.getElementById("ledgerTable");
+    if (!ledgerElement || document.getElementById("profiles").classList.contains("hide")) return;
+    const money = amount => (amount < 0 ? "-$" : "$") + Math.abs(amount);
+    ledgerElement.innerHTML = loadLedger(currentProfile.id).slice(-50).reverse().map(entry => `<tr><td>${entry.at.substring(0, 19).replace("T", " ")}</td>` +
+        `<td>${ledgerTypes[entry.type] || entry.type}</td><td>${money(entry.amount)}</td><td>${money(entry.balance)}</td><td>${entry.note}</td></tr>`).join("");
+}
+
+document.getElementById("profileName").textContent = currentProfile.name;
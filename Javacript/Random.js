@@ -0,0 +1,81 @@
+// Random.js
+
+// Seedable random numbers. Every random decision in the game (the shuffle, the
+// bots and the CFR sampling) reads from one of these so a hand can be replayed
+// from its seed.
+
+// A fresh unsigned 32-bit seed, the only place Math.random is still used
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Read a seed typed by the user. Numbers are used as they are, any other text is hashed
+function parseSeed(text) {
+    text = String(text).trim();
+    if (text === "") return null;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// What replays a hand: its seed and, after a colon, the seat of the button counted from 1
+function handCode(seed, button) {
+    return seed + ":" + (button + 1);
+}
+
+// Read a hand code typed by the user: { seed, button }, button null when it is left out
+function parseHandCode(text) {
+    const match = /^(.*):\s*(\d+)$/.exec(String(text).trim());
+    const seed = parseSeed(match ? match[1] : text);
+    if (seed === null) return null;
+    return { seed: seed, button: match && Number(match[2]) > 0 ? Number(match[2]) - 1 : null };
+}
+
+// mulberry32 generator wrapped with the helpers the game needs
+function createRandom(seed) {
+    let current = 0;
+    const service = {
+        seed: 0,
+        reseed: function (newSeed) {
+            service.seed = newSeed >>> 0;
+            current = service.seed;
+            return service.seed;
+        },
+        // Float in [0, 1) like Math.random
+        next: function () {
+            current = (current + 0x6D2B79F5) >>> 0;
+            let t = current;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+        // Integer between min and max, both included
+        int: function (min, max) {
+            return Math.floor(service.next() * (max - min + 1)) + min;
+        },
+        // Fisher-Yates shuffle into a new array
+        shuffle: function (items) {
+            let shuffled = items.slice();
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                let j = Math.floor(service.next() * (i + 1));
+                let temp = shuffled[i];
+                shuffled[i] = shuffled[j];
+                shuffled[j] = temp;
+            }
+            return shuffled;
+        }
+    };
+    service.reseed(seed === undefined ? randomSeed() : seed);
+    return service;
+}
+
+// Generator of the deck and the bots, reseeded by the table at the start of every hand
+const gameRandom = createRandom();
+
+// CFR training and equity sampling. These run on the page when the worker cannot, at
+// any moment the UI asks, so they must not draw from gameRandom
+const solverRandom = createRandom();
@@ -0,0 +1,228 @@
+// Replayer.js
+
+// Step through a recorded hand (see History.js) one action at a time, forward and
+// back, with the stacks, the pot and the UrtziAI recommendation at every decision of
+// the hero. The hands come from this page or from an imported JSON history.
+
+// Text of a history file as HTML. Names, pots and labels may come from an imported file
+function escapeHTML(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+// Options of the hand picker
+function replayHandOptions() {
+    return replayHands.map((entry, i) => `<option value="${i}">${entry.imported ? "Imported: " : ""}${escapeHTML(entry.label)}</option>`).join("");
+}
+
+// The deal, every action and every board card in the order they happened, then the result
+function replaySteps(hand) {
+    let steps = [{ type: "deal", street: "pre flop" }];
+    let street = "pre flop";
+    let dealt = {};
+    const boardStep = boardStreet => {
+        steps.push({ type: "board", street: boardStreet, cards: hand.board[boardStreet] });
+        dealt[boardStreet] = true;
+    };
+    hand.actions.forEach(action => {
+        if (action.street !== street) {
+            boardStep(action.street);
+            street = action.street;
+        }
+        steps.push({ type: "action", street: action.street, action: action });
+    });
+    ["flop", "turn", "river"].forEach(boardStreet => {
+        if (hand.board[boardStreet].length > 0 && !dealt[boardStreet]) boardStep(boardStreet);
+    });
+    steps.push({ type: "result", street: "showdown" });
+    return steps;
+}
+
+// The table as it stood after step `index`
+function replaySnapshot(hand, steps, index) {
+    let seats = hand.seats.map(player => ({
+        seat: player.seat,
+        name: player.name,
+        profile: player.profile,
+        holeCards: player.holeCards,
+        startStack: player.stack,
+        put: 0,
+        streetBet: 0,
+        won: 0,
+        folded: false,
+        lastMove: null
+    }));
+    let snapshot = { index: index, street: "pre flop", board: [], pot: 0, text: "", action: null };
+    for (let i = 0; i <= index; i++) {
+        const step = steps[i];
+        if (step.type === "deal") {
+            snapshot.text = `Hand #${hand.handNumber}, blinds $${hand.smallBlind}/$${hand.bigBlind}${hand.ante ? ", ante $" + hand.ante : ""}. ${handSeat(hand, hand.button).name} has the button.`;
+        } else if (step.type === "board") {
+            snapshot.board = snapshot.board.concat(step.cards);
+            snapshot.street = step.street;
+            seats.forEach(player => { player.streetBet = 0; });
+            snapshot.text = `${step.street.charAt(0).toUpperCase() + step.street.slice(1)}: ${step.cards.map(shortCard).join(" ")}`;
+        } else if (step.type === "action") {
+            const action = step.action;
+            const player = seats.find(other => other.seat === action.seat);
+            player.put += action.amount;
+            player.streetBet = action.to;
+            player.lastMove = action.action;
+            player.folded = player.folded || action.action === "fold";
+            snapshot.pot = action.pot;
+            snapshot.text = `${player.name} ${describeAction(action)}`;
+        } else {
+            seats.forEach(player => { player.won = hand.result.won[player.seat] || 0; });
+            snapshot.street = "showdown";
+            snapshot.text = hand.pots.map(pot => `${pot.name} $${pot.amount}: ${pot.winners.map(seat => handSeat(hand, seat).name).join(", ")}`).join(". ");
+        }
+        snapshot.action = step.type === "action" ? step.action : null;
+    }
+    snapshot.seats = seats.map(player => Object.assign(player, {
+        stack: player.startStack === null ? null : player.startStack - player.put + player.won
+    }));
+    return snapshot;
+}
+
+// The hero's spot just before acting, in the shape getCurrentState() gives, to ask the AI about it
+function replaySituation(hand, snapshot) {
+    const hero = snapshot.seats[0];
+    const live = snapshot.seats.filter(player => !player.folded);
+    const offset = seat => (seat - hand.button - 1 + hand.tableSize) % hand.tableSize;
+    return {
+        playerHand: hero.holeCards.map(parseCard),
+        communityCards: snapshot.board.map(parseCard),
+        pot: snapshot.pot,
+        currentBet: hero.put,
+        activePlayers: live.length,
+        cardsDealt: snapshot.board.length + hero.holeCards.length,
+        street: gameStepHierarchy.indexOf(snapshot.street),
+        toCall: Math.max(...snapshot.seats.map(player => player.streetBet)) - hero.streetBet,
+        stack: hero.stack,
+        bigBlind: hand.bigBlind,
+        position: live.every(player => offset(player.seat) <= offset(0)) ? "late" : "early",
+        equity: null
+    };
+}
+
+let replayHands = []; /*{ label, hand }*/
+let replay = null; /*{ hand, steps, index }*/
+
+function openReplayer() {
+    replayHands = replayHands.filter(entry => entry.imported).concat(handHistory.map(hand => ({ label: `Hand #${hand.handNumber} (seed ${handCode(hand.seed, hand.button)})`, hand: hand, imported: false })));
+    if (replayHands.length === 0) {
+        alert("Play a hand or import a history to replay it.");
+        return false;
+    }
+    document.getElementById("replayHand").innerHTML = replayHandOptions();
+    document.getElementById("replayer").classList.remove("hide");
+    const latest = replayHands.length - 1;
+    document.getElementById("replayHand").value = latest;
+    loadReplayHand(latest);
+    return false;
+}
+
+function closeReplayer() {
+    document.getElementById("replayer").classList.add("hide");
+    replay = null;
+    return false;
+}
+
+function loadReplayHand(position) {
+    const hand = replayHands[Number(position)].hand;
+    replay = { hand: hand, steps: replaySteps(hand), index: 0 };
+    showReplayStep();
+    return false;
+}
+
+// Hands from a JSON history file, added to the replayer list
+function importHistoryFile(input) {
+    const file = input.files[0];
+    input.value = "";
+    if (!file) return false;
+    const reader = new FileReader();
+    reader.onload = () => {
+        const hands = historyFromJSON(reader.result);
+        if (!hands || hands.length === 0) {
+            alert("This is not a BattlePoker hand history.");
+            return;
+        }
+        replayHands = hands.map(hand => ({ label: `Hand #${hand.handNumber} (seed ${handCode(hand.seed, hand.button)})`, hand: hand, imported: true })).concat(replayHands.filter(entry => !entry.imported));
+        document.getElementById("replayer").classList.remove("hide");
+        document.getElementById("replayHand").innerHTML = replayHandOptions();
+        document.getElementById("replayHand").value = 0;
+        loadReplayHand(0);
+    };
+    reader.readAsText(file);
+    return false;
+}
+
+// Move by `delta` steps, or to the first step of a street
+function replayMove(delta) {
+    if (!replay) return false;
+    replay.index = Math.max(0, Math.min(replay.steps.length - 1, replay.index + delta));
+    showReplayStep();
+    return false;
+}
+
+function replayStreet(street) {
+    if (!replay) return false;
+    const index = replay.steps.findIndex(step => step.street === street);
+    if (index !== -1) {
+        replay.index = index;
+        showReplayStep();
+    }
+    return false;
+}
+
+function showReplayStep() {
+    const hand = replay.hand;
+    const snapshot = replaySnapshot(hand, replay.steps, replay.index);
+    const showAll = document.getElementById("replayShowAll").checked;
+    const shown = hand.showdown.map(entry => entry.seat);
+    document.getElementById("replayBoard").innerHTML = snapshot.board.map(title => cardHTML(parseCard(title))).join("");
+    document.getElementById("replayInfo").textContent = `Step ${replay.index + 1} of ${replay.steps.length} - ${snapshot.street} - pot $${snapshot.pot}`;
+    document.getElementById("replaySeats").innerHTML = snapshot.seats.map(player => {
+        const visible = showAll || player.seat === 0 || (snapshot.street === "showdown" && shown.indexOf(player.seat) !== -1);
+        const cards = player.holeCards.map(title => visible ? shortCard(title) : "??").join(" ");
+        const role = player.seat === hand.button ? " (D)" : (player.seat === hand.smallBlindSeat ? " (SB)" : (player.seat === hand.bigBlindSeat ? " (BB)" : ""));
+        const status = player.folded ? "folded" : (player.lastMove || "");
+        const highlight = snapshot.action && snapshot.action.seat === player.seat ? " class='replay-current'" : "";
+        return `<tr${highlight}><td>${escapeHTML(player.name)}${role}</td><td>${cards}</td><td>${player.stack === null ? "unlimited" : "$" + player.stack}</td><td>$${player.streetBet}</td><td>${status}${player.won ? " won $" + player.won : ""}</td></tr>`;
+    }).join("");
+    document.getElementById("replayAction").textContent = snapshot.text;
+    showReplayAdvice(snapshot);
+}
+
+// UrtziAI's view of a hero decision: as recorded when the hand was played, or else
+// asked of the current model (only between hands, not to stop the live recommendation)
+function showReplayAdvice(snapshot) {
+    const adviceElement = document.getElementById("replayAdvice");
+    const action = snapshot.action;
+    if (!action || action.seat !== 0 || isForcedBet(action.action)) {
+        adviceElement.innerHTML = "";
+        return;
+    }
+    const describe = (advice, source) => `<strong>UrtziAI${source}:</strong> ${escapeHTML(advice.action.toUpperCase())} (${(advice.probability * 100).toFixed(1)}%)` +
+        (advice.equity !== undefined ? `, equity ${(advice.equity * 100).toFixed(1)}%` : "") + ` - hero played ${action.action}`;
+    if (action.advice) {
+        adviceElement.innerHTML = describe(action.advice, "");
+        return;
+    }
+    if (replay.hand.variant === "omaha") {
+        adviceElement.innerHTML = "UrtziAI recommends Hold'em decisions only.";
+        return;
+    }
+    if (table.state.handInProgress) {
+        adviceElement.innerHTML = "No recommendation was recorded for this decision.";
+        return;
+    }
+    const before = replaySnapshot(replay.hand, replay.steps, snapshot.index - 1);
+    const shown = replay;
+    const shownIndex = replay.index;
+    adviceElement.innerHTML = "UrtziAI is thinking...";
+    cfrSolver.start(replaySituation(replay.hand, before), { iterations: 0, timeBudget: 0 }, () => {}, result => {
+        if (replay !== shown || replay.index !== shownIndex || !result.recommendation) return;
+        const recommendation = result.recommendation;
+        adviceElement.innerHTML = describe({ action: recommendation.action, probability: recommendation.strategy[recommendation.action] }, " (current model)");
+    });
+}
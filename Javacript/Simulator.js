@@ -0,0 +1,207 @@
+// Simulator.js
+
+// Bot against bot matches from the command line, without a browser:
+//
+//   node Javacript/Simulator.js --hands 10000 --profiles nit,maniac,calling-station --seed 42 --out results.json
+//
+// Every seat, the hero seat included, is played by a bot strategy from Bots.js and
+// every seat starts each hand with the same stack, 100 big blinds unless --stack is given,
+// so the results measure the strategies alone. The report
+// gives each seat's profit with a 95% confidence interval and the hands per second.
+// The table scripts are the same ones the page loads, run here in a sandbox.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const tableScripts = ["Random.js", "HandEvaluator.js", "Pots.js", "History.js", "Equity.js", "Bots.js", "Engine.js"];
+const simulationFormat = "battlepoker-simulation";
+const simulationVersion = 1;
+const defaultStackBigBlinds = 100;
+
+const usage = `Usage: node Javacript/Simulator.js [options]
+  --hands N         hands to play (default 10000)
+  --seats N         seats at the table, 2 to 9 (default: one per profile, or 4)
+  --profiles a,b,c  strategy of each seat from the first one on (default: the built-in rotation)
+  --blinds 5/10     fixed small and big blind (default 5/10)
+  --variant NAME    holdem or omaha, pot-limit Omaha (default holdem)
+  --stack N         chips every seat starts each hand with (default 100 big blinds)
+  --seed N          seed of the first hand, the same seed plays the same match
+  --out FILE        write the results as JSON
+  --history FILE    write every hand as a JSON hand history
+  --quiet           no progress while playing
+Profiles: `;
+
+// The table scripts sharing one global scope, as they do on the page
+function loadTable() {
+    const sandbox = vm.createContext({ console: console });
+    tableScripts.forEach(file => {
+        const code = fs.readFileSync(path.join(__dirname, file), "utf8");
+        vm.runInContext(code, sandbox, { filename: file });
+    });
+    return vm.runInContext("({ createPokerTable, createRandom, createHandRecorder, historyToJSON, botStrategies, defaultProfileFor, gameVariants, minSeats, maxSeats })", sandbox);
+}
+
+// Value of a flag as a whole number of at least `minimum`, or an error naming the flag
+function wholeNumber(flag, value, minimum) {
+    const number = Number(value);
+    if (String(value).trim() === "" || !Number.isInteger(number) || number < minimum) {
+        throw new Error(`${flag} needs a whole number of at least ${minimum}, got "${value}"`);
+    }
+    return number;
+}
+
+function parseArguments(argv) {
+    let options = { hands: 10000, seats: null, profiles: [], blinds: [5, 10], variant: "holdem", stack: null, seed: null, out: null, history: null, quiet: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        if (["--quiet", "--help"].indexOf(flag) === -1 && (value === undefined || value.startsWith("--"))) {
+            throw new Error(`${flag} needs a value`);
+        }
+        switch (flag) {
+            case "--hands": options.hands = wholeNumber(flag, value, 1); i++; break;
+            case "--seats": options.seats = wholeNumber(flag, value, 2); i++; break;
+            case "--profiles": options.profiles = String(value).split(",").map(id => id.trim()).filter(id => id); i++; break;
+            case "--blinds":
+                options.blinds = String(value).split("/");
+                if (options.blinds.length !== 2) throw new Error(`--blinds needs the small and the big blind like 5/10, got "${value}"`);
+                options.blinds = options.blinds.map(blind => wholeNumber(flag, blind, 1));
+                if (options.blinds[0] > options.blinds[1]) throw new Error(`--blinds needs a small blind no bigger than the big blind, got "${value}"`);
+                i++;
+                break;
+            case "--variant": options.variant = value; i++; break;
+            case "--stack": options.stack = wholeNumber(flag, value, 1); i++; break;
+            case "--seed":
+                options.seed = wholeNumber(flag, value, 0);
+                if (options.seed > 4294967295) throw new Error(`--seed needs a whole number up to 4294967295, got "${value}"`);
+                i++;
+                break;
+            case "--out": options.out = value; i++; break;
+            case "--history": options.history = value; i++; break;
+            case "--quiet": options.quiet = true; break;
+            case "--help": options.help = true; break;
+            default: throw new Error("Unknown option " + flag);
+        }
+    }
+    return options;
+}
+
+// Mean, and the half width of its 95% confidence interval
+function meanWithMargin(sum, squares, count) {
+    if (count === 0) return { mean: 0, margin: 0 };
+    const mean = sum / count;
+    const variance = count > 1 ? Math.max(squares / count - mean * mean, 0) * count / (count - 1) : 0;
+    return { mean: mean, margin: 1.96 * Math.sqrt(variance / count) };
+}
+
+// Play the match and return the report. log(text) gets the progress lines
+function runSimulation(options, log) {
+    const game = loadTable();
+    const profileIds = Object.keys(game.botStrategies);
+    options.profiles.forEach(id => {
+        if (profileIds.indexOf(id) === -1) throw new Error(`Unknown profile "${id}", pick from ${profileIds.join(", ")}`);
+    });
+    if (!game.gameVariants[options.variant]) throw new Error(`Unknown variant "${options.variant}", pick from ${Object.keys(game.gameVariants).join(", ")}`);
+    if (options.seats !== null && (options.seats < game.minSeats || options.seats > game.maxSeats)) {
+        throw new Error(`--seats needs ${game.minSeats} to ${game.maxSeats} seats, got "${options.seats}"`);
+    }
+    const seatCount = Math.max(game.minSeats, Math.min(game.maxSeats, options.seats || options.profiles.length || 4));
+    let profiles = [];
+    for (let i = 0; i < seatCount; i++) {
+        profiles.push(options.profiles[i] || game.defaultProfileFor(i + 1));
+    }
+    const bigBlind = options.blinds[1];
+    const stack = options.stack === null ? defaultStackBigBlinds * bigBlind : options.stack;
+    if (!(stack > 0) || !isFinite(stack)) throw new Error("The stack has to be a number of chips above 0");
+    const table = game.createPokerTable({
+        seats: seatCount,
+        variant: options.variant,
+        random: game.createRandom(0),
+        blindSchedule: [{ smallBlind: options.blinds[0], bigBlind: bigBlind, ante: 0 }],
+        playerMoney: stack,
+        botBuyIn: stack,
+        botProfiles: profiles,
+        heroProfile: profiles[0]
+    });
+    const recorder = options.history ? game.createHandRecorder(table, { sessionId: "sim" + (options.seed === null ? "" : options.seed), tableName: "Simulator" }) : null;
+
+    let seats = profiles.map((profile, seat) => ({ seat: seat, profile: profile, net: 0, squares: 0, won: 0, showdowns: 0 }));
+    table.on("handEnded", (result, state) => {
+        state.seats.forEach(player => {
+            const net = (result.won[player.seat] || 0) - player.totalBet;
+            seats[player.seat].net += net;
+            seats[player.seat].squares += (net / bigBlind) * (net / bigBlind);
+            if (net > 0) seats[player.seat].won++;
+        });
+        result.hands.forEach(shown => { if (result.hands.length > 1) seats[shown.seat].showdowns++; });
+    });
+
+    const seeds = game.createRandom(options.seed === null ? undefined : options.seed);
+    const firstSeed = seeds.seed;
+    const startedAt = Date.now();
+    const progressEvery = Math.max(1, Math.floor(options.hands / 10));
+    for (let hand = 1; hand <= options.hands; hand++) {
+        table.setPlayerMoney(stack); /*every seat sits down again with the same stack*/
+        for (let seat = 1; seat < seatCount; seat++) table.setBotStack(seat, stack);
+        table.deal(seeds.int(0, 4294967295));
+        if (hand % progressEvery === 0) log(`${hand} hands played`);
+    }
+    const seconds = (Date.now() - startedAt) / 1000;
+
+    const report = {
+        format: simulationFormat,
+        version: simulationVersion,
+        finishedAt: new Date().toISOString(),
+        config: { hands: options.hands, variant: options.variant, seats: seatCount, profiles: profiles, smallBlind: options.blinds[0], bigBlind: bigBlind, stack: stack, seed: firstSeed },
+        seconds: seconds,
+        handsPerSecond: seconds > 0 ? options.hands / seconds : null,
+        seats: seats.map(seat => {
+            const perHand = meanWithMargin(seat.net / bigBlind, seat.squares, options.hands);
+            return {
+                seat: seat.seat,
+                profile: seat.profile,
+                net: seat.net,
+                bbPer100: perHand.mean * 100,
+                bbPer100Margin: perHand.margin * 100, /*95% confidence: bbPer100 ± this*/
+                handsWon: seat.won,
+                showdowns: seat.showdowns
+            };
+        })
+    };
+    if (recorder) fs.writeFileSync(options.history, game.historyToJSON(recorder.hands()));
+    return report;
+}
+
+function formatReport(report) {
+    let lines = [`${report.config.hands} hands of ${report.config.variant}, ${report.config.seats} seats, blinds ${report.config.smallBlind}/${report.config.bigBlind}, seed ${report.config.seed}`];
+    report.seats.forEach(seat => {
+        lines.push(`Seat ${seat.seat + 1} ${seat.profile.padEnd(16)} net ${String(seat.net).padStart(9)}  ${seat.bbPer100.toFixed(2).padStart(8)} ± ${seat.bbPer100Margin.toFixed(2)} bb/100`);
+    });
+    lines.push(`${report.seconds.toFixed(2)} s, ${report.handsPerSecond === null ? "-" : Math.round(report.handsPerSecond)} hands per second`);
+    return lines.join("\n");
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    if (options.help) {
+        console.log(usage + Object.keys(loadTable().botStrategies).join(", "));
+        process.exit(0);
+    }
+    try {
+        const report = runSimulation(options, text => { if (!options.quiet) console.error(text); });
+        console.log(formatReport(report));
+        if (options.out) fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { runSimulation: runSimulation, formatReport: formatReport };
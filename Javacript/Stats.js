@@ -0,0 +1,189 @@
+// Stats.js
+
+// Hero statistics. Every recorded hand (see History.js) is cut down to a short entry
+// kept with the player's profile (see Profiles.js), so the numbers cover this session
+// and every earlier one.
+// Entries filter by session, table size and opponent profile.
+
+const statsStorageKey = "handStats";
+const maxStatsEntries = 2000; /*oldest hands are dropped past this, about 750 KB of storage*/
+
+// What the stats need from one hand record
+function handStatsEntry(hand) {
+    const heroActions = hand.actions.filter(action => action.seat === 0 && !isForcedBet(action.action));
+    const preflop = heroActions.filter(action => action.street === "pre flop");
+    const postflop = heroActions.filter(action => action.street !== "pre flop");
+    const hero = hand.seats[0];
+    const sawFlop = hand.board.flop.length > 0 && hero.foldedOn !== "pre flop";
+    const wentToShowdown = hand.showdown.some(shown => shown.seat === 0);
+    return {
+        id: hand.id,
+        sessionId: hand.sessionId,
+        startedAt: hand.startedAt,
+        tableSize: hand.tableSize,
+        profiles: hand.seats.filter(player => player.profile).map(player => player.profile),
+        bigBlind: hand.bigBlind,
+        vpip: preflop.some(action => action.action !== "fold" && action.action !== "check"),
+        pfr: preflop.some(action => action.action === "bet" || action.action === "raise"),
+        aggressive: postflop.filter(action => action.action === "bet" || action.action === "raise").length,
+        calls: postflop.filter(action => action.action === "call").length,
+        sawFlop: sawFlop,
+        wentToShowdown: wentToShowdown,
+        wonAtShowdown: wentToShowdown && (hand.result.won[0] || 0) > 0,
+        net: hand.result.heroNet,
+        balance: hand.result.playerMoney
+    };
+}
+
+function loadStatsEntries() {
+    try {
+        return JSON.parse(profileStorage.getItem(statsStorageKey) || "[]");
+    } catch (error) {
+        return [];
+    }
+}
+
+function recordHandStats(hand) {
+    let entries = loadStatsEntries();
+    entries.push(handStatsEntry(hand));
+    profileStorage.setItem(statsStorageKey, JSON.stringify(entries.slice(-maxStatsEntries)));
+}
+
+function clearStatsEntries() {
+    profileStorage.removeItem(statsStorageKey);
+}
+
+// filter: { sessionId, tableSize, profile }, an empty value lets every hand through
+function filterStatsEntries(entries, filter) {
+    return entries.filter(entry => (!filter.sessionId || entry.sessionId === filter.sessionId) &&
+        (!filter.tableSize || entry.tableSize === Number(filter.tableSize)) &&
+        (!filter.profile || entry.profiles.indexOf(filter.profile) !== -1));
+}
+
+// Percentages are fractions (0..1), null when nothing counts towards them yet.
+// Aggression factor is postflop bets and raises per call
+function computeStats(entries) {
+    const count = test => entries.filter(test).length;
+    const ratio = (part, whole) => whole > 0 ? part / whole : null;
+    const sawFlop = count(entry => entry.sawFlop);
+    const showdowns = count(entry => entry.wentToShowdown);
+    const aggressive = entries.reduce((sum, entry) => sum + entry.aggressive, 0);
+    const calls = entries.reduce((sum, entry) => sum + entry.calls, 0);
+    const bigBlinds = entries.reduce((sum, entry) => sum + entry.net / entry.bigBlind, 0);
+    let cumulative = 0;
+    return {
+        hands: entries.length,
+        vpip: ratio(count(entry => entry.vpip), entries.length),
+        pfr: ratio(count(entry => entry.pfr), entries.length),
+        aggressionFactor: calls > 0 ? aggressive / calls : (aggressive > 0 ? Infinity : null),
+        wentToShowdown: ratio(showdowns, sawFlop),
+        wonAtShowdown: ratio(count(entry => entry.wonAtShowdown), showdowns),
+        net: entries.reduce((sum, entry) => sum + entry.net, 0),
+        bbPer100: ratio(bigBlinds * 100, entries.length),
+        bankroll: entries.map(entry => (cumulative += entry.net)) /*net winnings after every hand*/
+    };
+}
+
+// Dashboard
+
+function openStats() {
+    document.getElementById("stats").classList.remove("hide");
+    showStats();
+    return false;
+}
+
+function closeStats() {
+    document.getElementById("stats").classList.add("hide");
+    return false;
+}
+
+function resetStats() {
+    if (!confirm("Forget the statistics of every hand played?")) return false;
+    clearStatsEntries();
+    showStats();
+    return false;
+}
+
+// Fill a filter select, keeping what was picked when it is still there
+function fillStatsFilter(id, options) {
+    const select = document.getElementById(id);
+    const picked = select.value;
+    select.innerHTML = options.map(option => `<option value="${option.value}">${option.label}</option>`).join("");
+    select.value = options.some(option => option.value === picked) ? picked : "";
+}
+
+function showStats() {
+    const statsElement = document.getElementById("stats");
+    if (!statsElement || statsElement.classList.contains("hide")) return;
+    const entries = loadStatsEntries();
+    let sessions = [];
+    entries.forEach(entry => {
+        if (!sessions.some(session => session.value === entry.sessionId)) {
+            sessions.push({ value: entry.sessionId, label: `${entry.startedAt.substring(0, 16).replace("T", " ")} (${entry.tableSize} seats)` });
+        }
+    });
+    const sizes = [...new Set(entries.map(entry => entry.tableSize))].sort((a, b) => a - b);
+    fillStatsFilter("statsSession", [{ value: "", label: "All sessions" }].concat(sessions.reverse()));
+    fillStatsFilter("statsTableSize", [{ value: "", label: "All tables" }].concat(sizes.map(size => ({ value: String(size), label: `${size} seats` }))));
+    fillStatsFilter("statsProfile", [{ value: "", label: "All opponents" }].concat(defaultBotProfiles.map(id => ({ value: id, label: "vs " + getBotStrategy(id).name }))));
+
+    const stats = computeStats(filterStatsEntries(entries, {
+        sessionId: document.getElementById("statsSession").value,
+        tableSize: document.getElementById("statsTableSize").value,
+        profile: document.getElementById("statsProfile").value
+    }));
+    const percent = value => value === null ? "-" : (value * 100).toFixed(1) + "%";
+    const number = value => value === null ? "-" : (value === Infinity ? "∞" : value.toFixed(2));
+    const rows = [
+        ["Hands", stats.hands],
+        ["VPIP", percent(stats.vpip)],
+        ["PFR", percent(stats.pfr)],
+        ["Aggression factor", number(stats.aggressionFactor)],
+        ["Went to showdown", percent(stats.wentToShowdown)],
+        ["Won at showdown", percent(stats.wonAtShowdown)],
+        ["Net winnings", (stats.net < 0 ? "-$" : "$") + Math.abs(stats.net)],
+        ["bb/100", number(stats.bbPer100)]
+    ];
+    document.getElementById("statsTable").innerHTML = rows.map(row => `<tr><td>${row[0]}</td><td>${row[1]}</td></tr>`).join("");
+    drawBankroll(document.getElementById("bankrollChart"), stats.bankroll);
+}
+
+// Net winnings hand after hand as a line, with the break-even line dashed
+function drawBankroll(canvas, bankroll) {
+    const context = canvas.getContext && canvas.getContext("2d");
+    if (!context) return;
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 20;
+    context.clearRect(0, 0, width, height);
+    context.font = "11px sans-serif";
+    context.fillStyle = "white";
+    if (bankroll.length === 0) {
+        context.fillText("No hands yet", padding, height / 2);
+        return;
+    }
+    const points = [0].concat(bankroll);
+    const low = Math.min(...points);
+    const high = Math.max(...points);
+    const range = high - low || 1;
+    const x = index => padding + index * (width - 2 * padding) / Math.max(points.length - 1, 1);
+    const y = value => height - padding - (value - low) * (height - 2 * padding) / range;
+
+    context.strokeStyle = "#777";
+    context.setLineDash([4, 4]);
+    context.beginPath();
+    context.moveTo(padding, y(0));
+    context.lineTo(width - padding, y(0));
+    context.stroke();
+    context.setLineDash([]);
+
+    context.strokeStyle = points[points.length - 1] >= 0 ? "#4caf50" : "#f44336";
+    context.lineWidth = 2;
+    context.beginPath();
+    points.forEach((value, index) => index === 0 ? context.moveTo(x(index), y(value)) : context.lineTo(x(index), y(value)));
+    context.stroke();
+    context.lineWidth = 1;
+
+    context.fillText("$" + high, 2, padding - 6);
+    context.fillText("$" + low, 2, height - 4);
+}
@@ -0,0 +1,237 @@
+// Tournament.js
+
+// Sit-and-go tournaments. Every seat starts with the same chips, the blinds go up every
+// few hands and a seat out of chips is out (see eliminateBusted in Engine.js). The hero
+// pays the buy-in from the balance, every bot pays it too, and the prize pool is paid
+// to the top places. When the hero goes out early the bots play the rest out at once,
+// so every seat gets its place.
+
+const sitAndGoBlinds = [
+    { smallBlind: 10, bigBlind: 20, ante: 0 },
+    { smallBlind: 15, bigBlind: 30, ante: 0 },
+    { smallBlind: 25, bigBlind: 50, ante: 0 },
+    { smallBlind: 50, bigBlind: 100, ante: 0 },
+    { smallBlind: 75, bigBlind: 150, ante: 10 },
+    { smallBlind: 100, bigBlind: 200, ante: 25 },
+    { smallBlind: 150, bigBlind: 300, ante: 25 },
+    { smallBlind: 200, bigBlind: 400, ante: 50 },
+    { smallBlind: 300, bigBlind: 600, ante: 75 },
+    { smallBlind: 400, bigBlind: 800, ante: 100 },
+    { smallBlind: 600, bigBlind: 1200, ante: 150 },
+    { smallBlind: 1000, bigBlind: 2000, ante: 200 }
+];
+const tournamentDefaults = { buyIn: 100, startingChips: 1500, handsPerLevel: 8, payouts: [50, 30, 20] };
+const maxPlayOutHands = 5000; /*the blinds end any tournament long before this*/
+
+// Percentages of the prize pool from "50/30/20", first place first. Null when unusable
+function parsePayouts(text) {
+    const payouts = String(text).split(/[\/,\s]+/).filter(part => part).map(Number);
+    if (payouts.length === 0 || payouts.some(share => isNaN(share) || share <= 0)) return null;
+    const total = payouts.reduce((sum, share) => sum + share, 0);
+    return payouts.map(share => share * 100 / total);
+}
+
+// Whole-dollar prize of every paid place. Places past the field share nothing, and
+// the odd dollars go to the winner
+function tournamentPrizes(pool, payouts, players) {
+    const paid = payouts.slice(0, players);
+    const total = paid.reduce((sum, share) => sum + share, 0);
+    let prizes = paid.map(share => Math.floor(pool * share / total));
+    prizes[0] += pool - prizes.reduce((sum, prize) => sum + prize, 0);
+    return prizes;
+}
+
+// Follow a tournament played on `table`: the place of every seat, hands played and the
+// biggest pot. onFinished(results) is called once the winner is known
+function createTournament(table, config, onFinished) {
+    const seatCount = table.state.profiles.length;
+    let places = {}; /*seat -> finishing place*/
+    let handsPlayed = 0;
+    let biggestPot = null;
+    let finished = false;
+
+    const seatsLeft = () => table.state.profiles.map((profile, seat) => seat).filter(seat => places[seat] === undefined);
+
+    function finish() {
+        finished = true;
+        const left = seatsLeft();
+        if (left.length > 1) playOutTournament(table, config, places, countHand); /*the hero is out, the bots settle the rest*/
+        left.filter(seat => places[seat] === undefined).forEach(seat => { places[seat] = 1; });
+        const pool = config.buyIn * seatCount;
+        const prizes = tournamentPrizes(pool, config.payouts, seatCount);
+        onFinished({
+            places: Object.keys(places).map(Number).sort((a, b) => places[a] - places[b]).map(seat => ({
+                seat: seat,
+                place: places[seat],
+                profile: table.state.profiles[seat],
+                prize: prizes[places[seat] - 1] || 0
+            })),
+            pool: pool,
+            handsPlayed: handsPlayed,
+            biggestPot: biggestPot,
+            heroPlace: places[0],
+            heroPrize: prizes[places[0] - 1] || 0
+        });
+    }
+
+    function countHand(pot, winners, handNumber) {
+        handsPlayed++;
+        if (!biggestPot || pot > biggestPot.amount) {
+            biggestPot = { amount: pot, handNumber: handNumber, winners: winners.slice() };
+        }
+    }
+
+    table.on("handEnded", (result, state) => countHand(result.pot, result.winners, state.handNumber));
+
+    /*seats going out in the same hand all get their place before the tournament ends*/
+    table.on("playerEliminated", (event, state) => {
+        if (finished) return;
+        places[event.seat] = event.place;
+        if (Object.keys(places).length < state.eliminated.length) return;
+        if (places[0] !== undefined || seatsLeft().length === 1) finish();
+    });
+
+    return {
+        config: config,
+        places: () => Object.assign({}, places),
+        isFinished: () => finished
+    };
+}
+
+// Deal the bots still in at `table` against each other until one is left, on a table of
+// their own with the same stacks, starting at the current blind level, and fill their places in.
+// onHand(pot, winners, handNumber) gets every hand, numbered on from the hands at `table`
+function playOutTournament(table, config, places, onHand) {
+    const state = table.state;
+    const stackOfSeat = seat => seat === 0 ? state.playerMoney : state.botStacks[seat];
+    let left = state.profiles.map((profile, seat) => seat).filter(seat => places[seat] === undefined);
+    /*a seat with no chips cannot post: it is out before the first hand, in the last place left*/
+    left.filter(seat => !(stackOfSeat(seat) > 0)).forEach(seat => {
+        places[seat] = left.length;
+        left = left.filter(other => other !== seat);
+    });
+    if (left.length < 2) {
+        left.forEach(seat => { places[seat] = 1; });
+        return;
+    }
+    const playOut = createPokerTable({
+        seats: left.length,
+        variant: state.variant,
+        random: createRandom(state.seed),
+        blindSchedule: sitAndGoBlinds.slice(state.level),
+        handsPerLevel: config.handsPerLevel,
+        playerMoney: stackOfSeat(left[0]),
+        heroProfile: state.profiles[left[0]],
+        botProfiles: left.map(seat => state.profiles[seat]),
+        eliminateBusted: true
+    });
+    left.forEach((seat, i) => { if (i > 0) playOut.setBotStack(i, stackOfSeat(seat)); });
+    playOut.on("playerEliminated", event => { places[left[event.seat]] = event.place; });
+    playOut.on("handEnded", (result, playOutState) => onHand(result.pot, result.winners.map(seat => left[seat]), state.handNumber + playOutState.handNumber));
+    for (let hand = 0; hand < maxPlayOutHands && playOut.deal(); hand++);
+}
+
+// Sit-and-go on the page
+
+let tournament = null; /*the sit-and-go being played, null at the cash table*/
+let tournamentBalance = 0; /*the hero's balance, after the buy-in, while a tournament is on*/
+
+function loadTournamentConfig() {
+    let config = Object.assign({}, tournamentDefaults, JSON.parse(profileStorage.getItem("tournamentConfig") || "{}"));
+    document.getElementById("sngBuyIn").value = config.buyIn;
+    document.getElementById("sngChips").value = config.startingChips;
+    document.getElementById("sngHandsPerLevel").value = config.handsPerLevel;
+    document.getElementById("sngPayouts").value = config.payouts.map(share => Math.round(share)).join("/");
+    return config;
+}
+
+function readTournamentConfig() {
+    const number = (id, minimum) => Math.max(minimum, Math.floor(Number(document.getElementById(id).value)) || 0);
+    const payouts = parsePayouts(document.getElementById("sngPayouts").value);
+    if (!payouts) return null;
+    return {
+        buyIn: number("sngBuyIn", 0),
+        startingChips: number("sngChips", 100),
+        handsPerLevel: number("sngHandsPerLevel", 1),
+        payouts: payouts
+    };
+}
+
+function startTournament() {
+    if (table && table.state.handInProgress) {
+        alert("Finish this hand before starting a tournament.");
+        return false;
+    }
+    const config = readTournamentConfig();
+    if (!config) {
+        alert("Write the prize structure as percentages, first place first, like 50/30/20.");
+        return false;
+    }
+    if (config.buyIn > playerMoney) {
+        alert(`The buy-in is $${config.buyIn} and your balance is $${playerMoney}.`);
+        return false;
+    }
+    const seatCount = Number(document.getElementById("howManyopponents").value) + 1;
+    if (!confirm(`Sit-and-go for ${seatCount} players: $${config.buyIn} buy-in, ${config.startingChips} chips each, blinds up every ${config.handsPerLevel} hands. Start?`)) return false;
+    profileStorage.setItem("tournamentConfig", JSON.stringify(config));
+    tournamentBalance = playerMoney - config.buyIn;
+    profileStorage.setItem("balance", tournamentBalance);
+    recordTransaction("buy-in", -config.buyIn, tournamentBalance, `Sit-and-go, ${seatCount} players`);
+    startSession(seatCount, {
+        playerMoney: config.startingChips,
+        botBuyIn: config.startingChips,
+        blindSchedule: sitAndGoBlinds,
+        handsPerLevel: config.handsPerLevel,
+        eliminateBusted: true
+    });
+    tournament = createTournament(table, config, finishTournament);
+    table.on("handStarted", showTournamentStatus);
+    document.getElementById("tournamentResults").classList.add("hide");
+    document.getElementById("sngStart").disabled = true;
+    setPlayerMoney("start");
+    document.getElementById("betTarget").innerHTML = "Sit-and-go started, deal the first hand";
+    return false;
+}
+
+// Players left next to the blind level
+function showTournamentStatus() {
+    const left = table.state.seats.filter(player => player.status !== "out").length;
+    document.getElementById("blindLevel").innerHTML += ` - Sit-and-go: ${left} of ${table.state.seats.length} left`;
+}
+
+// The prize goes to the balance and the results come up; the next deal is at the cash table
+function finishTournament(results) {
+    tournamentBalance += results.heroPrize;
+    profileStorage.setItem("balance", tournamentBalance);
+    const ordinal = place => place + ([, "st", "nd", "rd"][place % 100 > 10 && place % 100 < 14 ? 0 : place % 10] || "th");
+    recordTransaction("prize", results.heroPrize, tournamentBalance, `${ordinal(results.heroPlace)} place of ${results.places.length}`);
+    const rows = results.places.map(entry => {
+        const name = entry.seat === 0 ? "You" : `Player ${entry.seat + 1} (${getBotStrategy(entry.profile).short})`;
+        return `<tr${entry.seat === 0 ? " class='replay-current'" : ""}><td>${ordinal(entry.place)}</td><td>${name}</td><td>${entry.prize ? "$" + entry.prize : "-"}</td></tr>`;
+    }).join("");
+    const pot = results.biggestPot;
+    document.getElementById("tournamentResults").innerHTML = `<h5>Sit-and-go results</h5>
+        <p>You finished ${ordinal(results.heroPlace)}${results.heroPrize ? ` and won $${results.heroPrize}` : ""}. Prize pool $${results.pool}.</p>
+        <table class="stats-table">
+            <thead><tr><th>Place</th><th>Player</th><th>Prize</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p>Hands played: ${results.handsPlayed}${pot ? ` - biggest pot ${pot.amount} chips in hand #${pot.handNumber}, won by ${pot.winners.map(seatName).join(", ")}` : ""}</p>
+        <button class="btn btn-secondary btn-sm fold-button" onClick="javascript:leaveTournament(0)">Back to the cash table</button>`;
+    document.getElementById("tournamentResults").classList.remove("hide");
+    document.getElementById("betTarget").innerHTML = "The sit-and-go is over";
+}
+
+// Back to the cash table, of `seatCount` seats or as many as the tournament had
+function leaveTournament(seatCount) {
+    document.getElementById("tournamentResults").classList.add("hide");
+    if (!tournament) return false;
+    tournament = null;
+    playerMoney = tournamentBalance;
+    document.getElementById("sngStart").disabled = false;
+    startSession(seatCount || table.state.seats.length);
+    setPlayerMoney("end");
+    return false;
+}
+
+loadTournamentConfig();
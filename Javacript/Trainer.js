@@ -0,0 +1,123 @@
+// Trainer.js
+
+// Training mode. Every decision of the hero is kept with what UrtziAI recommended and
+// the value the model puts on each action in that spot (see actionValues() in CFR.js).
+// When the hand is over a review grades every decision by the chips it gave up against
+// the best action, and the session keeps a running total.
+
+const trainerSamples = 300; /*deals averaged to value the actions of one decision*/
+const decisionGrades = [
+    { grade: "Best", maxLoss: 0.05 }, /*in big blinds*/
+    { grade: "Good", maxLoss: 0.5 },
+    { grade: "Inaccuracy", maxLoss: 1.5 },
+    { grade: "Mistake", maxLoss: 4 },
+    { grade: "Blunder", maxLoss: Infinity }
+];
+
+// Value of what the hero did among the model's actions. A fold is always worth 0; a raise
+// the abstract tree has no room for is an all-in, and an all-in it can't make is a call
+function takenValue(values, action) {
+    const abstract = { call: "match", bet: "raise" }[action] || action;
+    if (abstract === "fold") return 0;
+    if (values[abstract] !== undefined) return values[abstract];
+    if (abstract === "raise" && values.allin !== undefined) return values.allin;
+    if (values.match !== undefined) return values.match;
+    return values.check !== undefined ? values.check : 0;
+}
+
+// { best, bestValue, value, evLoss, grade } for one decision: { values, action, bigBlind }
+function gradeDecision(decision) {
+    const values = Object.assign({ fold: 0 }, decision.values);
+    if (decision.values.check !== undefined) delete values.fold; /*nobody folds when checking is free*/
+    const best = Object.keys(values).reduce((a, b) => values[a] >= values[b] ? a : b);
+    const value = takenValue(decision.values, decision.action);
+    const evLoss = Math.max(0, values[best] - value);
+    const lossInBlinds = evLoss / decision.bigBlind;
+    return {
+        best: best,
+        bestValue: values[best],
+        value: value,
+        evLoss: evLoss,
+        grade: decisionGrades.find(step => lossInBlinds <= step.maxLoss).grade
+    };
+}
+
+let trainingMode = profileStorage.getItem("trainingMode") === "on";
+let trainingDecisions = []; /*decisions of the hand being played*/
+let trainingHandOver = false;
+let trainingTotals = { decisions: 0, evLost: 0, grades: {} };
+
+function toggleTrainingMode(on) {
+    trainingMode = on;
+    profileStorage.setItem("trainingMode", on ? "on" : "off");
+    if (!on) document.getElementById("review").classList.add("hide");
+    return false;
+}
+
+function startTrainingHand() {
+    trainingDecisions = [];
+    trainingHandOver = false;
+    document.getElementById("review").classList.add("hide");
+}
+
+// A hero action in the spot `situation` (see getCurrentState()), with the advice shown for it
+function recordTrainingDecision(situation, event, advice) {
+    let decision = {
+        street: gameStepHierarchy[situation.street],
+        holeCards: situation.playerHand,
+        communityCards: situation.communityCards.slice(),
+        toCall: situation.toCall,
+        pot: situation.pot,
+        action: event.action,
+        amount: event.amount,
+        bigBlind: situation.bigBlind,
+        advice: advice,
+        graded: null
+    };
+    trainingDecisions.push(decision);
+    const hand = trainingDecisions;
+    cfrSolver.evaluateActions(situation, trainerSamples, values => {
+        decision.values = values;
+        decision.graded = gradeDecision(decision);
+        trainingTotals.decisions++;
+        trainingTotals.evLost += decision.graded.evLoss;
+        trainingTotals.grades[decision.graded.grade] = (trainingTotals.grades[decision.graded.grade] || 0) + 1;
+        if (hand === trainingDecisions && trainingHandOver) showReview();
+    });
+}
+
+function finishTrainingHand() {
+    trainingHandOver = true;
+    if (trainingMode && trainingDecisions.length > 0) showReview();
+}
+
+// Review of the hand just played: one graded row per decision and the chips given up
+function showReview() {
+    const reviewElement = document.getElementById("review");
+    const money = amount => (amount < 0 ? "-$" : "$") + Math.abs(amount).toFixed(1);
+    const cards = list => list.map(card => shortCard(cardTitle(card))).join(" ");
+    const pending = trainingDecisions.filter(decision => !decision.graded).length;
+    const rows = trainingDecisions.map(decision => {
+        const graded = decision.graded;
+        const advised = decision.advice ? decision.advice.action.toUpperCase() : "-";
+        if (!graded) {
+            return `<tr><td>${decision.street}</td><td>${cards(decision.holeCards)} | ${cards(decision.communityCards)}</td><td>${decision.action}</td><td>${advised}</td><td colspan="3">grading...</td></tr>`;
+        }
+        return `<tr class="grade-${graded.grade.toLowerCase()}"><td>${decision.street}</td><td>${cards(decision.holeCards)} | ${cards(decision.communityCards)}</td>` +
+            `<td>${decision.action}${decision.amount ? " $" + decision.amount : ""} (${money(graded.value)})</td>` +
+            `<td>${advised}</td><td>${graded.best.toUpperCase()} (${money(graded.bestValue)})</td><td>${money(graded.evLoss)}</td><td>${graded.grade}</td></tr>`;
+    }).join("");
+    const handLoss = trainingDecisions.reduce((sum, decision) => sum + (decision.graded ? decision.graded.evLoss : 0), 0);
+    const gradeCounts = decisionGrades.filter(step => trainingTotals.grades[step.grade]).map(step => `${step.grade} ${trainingTotals.grades[step.grade]}`).join(", ");
+    reviewElement.innerHTML = `<h5>Hand review</h5>
+        <table class="review-table">
+            <thead><tr><th>Street</th><th>Cards</th><th>You (EV)</th><th>UrtziAI</th><th>Best (EV)</th><th>EV lost</th><th>Grade</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p>EV lost this hand: ${money(handLoss)}${pending > 0 ? ` (${pending} still grading)` : ""}</p>
+        <p>Session: ${trainingTotals.decisions} decisions, ${money(trainingTotals.evLost)} EV lost${gradeCounts ? " - " + gradeCounts : ""}</p>
+        <button class="btn btn-secondary btn-sm fold-button" onClick="javascript:document.getElementById('review').classList.add('hide')">Close</button>`;
+    reviewElement.classList.remove("hide");
+}
+
+document.getElementById("trainingMode").checked = trainingMode;